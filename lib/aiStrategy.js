@@ -0,0 +1,194 @@
+// --- AI opponents (pure; no room or socket access) ---
+// A strategy is { id, label, decide(view, random) } and returns an action for validateAction
+// ({ type: "fold"|"check"|"call"|"raise", raiseTo? }). Built-in personalities share one decision
+// routine with different ranges and aggression; other strategies can be registered at startup.
+//
+// view: { game, hand, board, pot, toCall, currentMaxBet, bigBlind, stack, currentBet, opponents,
+//         position, effectiveStack, raisedPreflop, legal }
+//   game = variant id (lib/games.js), hand = all hole cards; pot = chips already in the middle (this street's bets included); opponents = others still in the hand;
+//   position = 0 (first to act) .. 1 (button); effectiveStack = chips behind against the biggest other stack;
+//   legal = getLegalActions() for the seat (lib/betting.js)
+
+import { compareHands } from "./handEval.js";
+import { gameDeck, getGame } from "./games.js";
+
+/**
+ * Chen formula score of two hole cards: about -1 (72o) to 20 (AA); 10+ is a premium hand.
+ * @param {Array<{s:string, v:number}>} hand
+ */
+export function preflopScore(hand) {
+  const [a, b] = [...hand].sort((x, y) => y.v - x.v);
+  const points = (v) => (v === 12 ? 10 : v === 11 ? 8 : v === 10 ? 7 : v === 9 ? 6 : (v + 2) / 2);
+  let score = points(a.v);
+  if (a.v === b.v) return Math.max(5, score * 2);
+  if (a.s === b.s) score += 2;
+  const gap = a.v - b.v - 1;
+  score -= [0, 1, 2, 4][gap] ?? 5;
+  if (gap <= 1 && a.v < 10) score += 1;
+  return Math.ceil(score);
+}
+
+/**
+ * Preflop score for any number of hole cards: the best two-card Chen score among them, less a little
+ * for four-card hands, whose equities run much closer together than in Hold'em.
+ */
+export function startingHandScore(hand) {
+  if (hand.length <= 2) return preflopScore(hand);
+  let best = -Infinity;
+  for (let a = 0; a < hand.length; a++) {
+    for (let b = a + 1; b < hand.length; b++) best = Math.max(best, preflopScore([hand[a], hand[b]]));
+  }
+  return best - 2;
+}
+
+/**
+ * Monte Carlo share of the pot won against `opponents` random hands (ties split).
+ * minOpponentScore narrows the opponents to hands with at least that starting score (someone who raised
+ * preflop rarely holds 72o); it is dropped for a trial when no such hand turns up quickly.
+ * Opponents get as many hole cards as `hand` has; `game` decides how hands are made (lib/games.js).
+ * @returns {number} 0..1
+ */
+export function estimateEquity(hand, board, { opponents = 1, trials = 200, minOpponentScore = null, random = Math.random, game } = {}) {
+  const { id, evaluate } = getGame(game);
+  const holeCards = hand.length;
+  const used = new Set([...hand, ...board].map((c) => `${c.r}${c.s}`));
+  const deck = gameDeck(id).filter((c) => !used.has(`${c.r}${c.s}`));
+  const need = 5 - board.length;
+  let won = 0;
+  for (let t = 0; t < trials; t++) {
+    // partial shuffle: only the cards this trial deals
+    const cards = deck.slice();
+    let n = 0;
+    const draw = () => {
+      const j = n + Math.floor(random() * (cards.length - n));
+      [cards[n], cards[j]] = [cards[j], cards[n]];
+      return cards[n++];
+    };
+    const dealHole = () => Array.from({ length: holeCards }, draw);
+    const villains = [];
+    for (let o = 0; o < opponents; o++) {
+      let h = dealHole();
+      for (let tries = 0; minOpponentScore !== null && startingHandScore(h) < minOpponentScore && tries < 8; tries++) {
+        // put the rejected hand back and deal another
+        n -= holeCards;
+        h = dealHole();
+      }
+      villains.push(h);
+    }
+    const runout = [...board];
+    for (let i = 0; i < need; i++) runout.push(draw());
+    const mine = evaluate(hand, runout);
+    let best = 1;
+    let tied = 1;
+    for (const v of villains) {
+      const cmp = compareHands(mine, evaluate(v, runout));
+      if (cmp < 0) { best = 0; break; }
+      if (cmp === 0) tied += 1;
+    }
+    if (best) won += 1 / tied;
+  }
+  return trials ? won / trials : 0;
+}
+
+// Personality knobs (Chen scores for the preflop ranges, equity margins after the flop):
+//   open: weakest hand played first in (loosened by up to `positional` on the button)
+//   defend: extra score needed per big blind of a raise faced (in big blinds, capped)
+//   valueRaise: weakest hand raised preflop; valueEquity: equity needed to bet/raise after the flop
+//   callMargin: equity over pot odds needed to call (negative = calls light)
+//   bluff: chance to bet or raise with a weak hand; sizing: bet as a share of the pot
+//   shoveBb: at or below this many big blinds go all-in or fold preflop; trials: Monte Carlo samples
+const PERSONALITIES = {
+  "tight-passive": {
+    label: "Tight-passive",
+    open: 9, positional: 1, defend: 0.6, valueRaise: 12, valueEquity: 0.8, callMargin: 0.05,
+    bluff: 0, sizing: 0.5, shoveBb: 8, trials: 150
+  },
+  "loose-aggressive": {
+    label: "Loose-aggressive",
+    open: 5, positional: 2, defend: 0.25, valueRaise: 8, valueEquity: 0.55, callMargin: -0.04,
+    bluff: 0.2, sizing: 0.8, shoveBb: 12, trials: 150
+  },
+  strong: {
+    label: "Strong",
+    open: 7, positional: 3, defend: 0.4, valueRaise: 9, valueEquity: 0.62, callMargin: 0,
+    bluff: 0.08, sizing: 0.66, shoveBb: 12, trials: 400, readsRanges: true
+  }
+};
+
+function raiseAction(view, size) {
+  const { legal } = view;
+  if (!legal.canRaise) return view.toCall > 0 ? { type: "call" } : { type: "check" };
+  const target = view.currentMaxBet + Math.round(size * (view.pot + view.toCall));
+  // close to the whole stack anyway: just move in
+  if (target >= legal.maxRaiseTo * 0.8) return { type: "raise", raiseTo: legal.maxRaiseTo };
+  return { type: "raise", raiseTo: Math.max(legal.minRaiseTo, Math.min(legal.maxRaiseTo, target)) };
+}
+
+function passive(view) {
+  return view.toCall > 0 ? { type: "fold" } : { type: "check" };
+}
+
+function decidePreflop(k, view, random) {
+  const score = startingHandScore(view.hand) + k.positional * view.position;
+  const bb = Math.max(1, view.bigBlind);
+  const facing = Math.max(0, (view.currentMaxBet - bb) / bb); // big blinds raised over the blind
+  const needed = k.open + Math.min(8, facing * k.defend);
+  if (view.effectiveStack / bb <= k.shoveBb) {
+    // short stack: push or fold
+    if (score >= needed) return view.legal.canRaise ? { type: "raise", raiseTo: view.legal.maxRaiseTo } : { type: "call" };
+    return passive(view);
+  }
+  if (score >= k.valueRaise + Math.min(6, facing * k.defend) || (score >= needed && random() < k.bluff)) {
+    return raiseAction(view, facing > 0 ? 1 : 0.75);
+  }
+  if (score >= needed || view.toCall === 0) return view.toCall > 0 ? { type: "call" } : { type: "check" };
+  // cheap enough to see a flop with something playable
+  if (view.toCall <= bb / 2 && score >= k.open - 3) return { type: "call" };
+  return { type: "fold" };
+}
+
+function decidePostflop(k, view, random) {
+  const equity = estimateEquity(view.hand, view.board, {
+    game: view.game,
+    opponents: Math.max(1, view.opponents),
+    // a four-card hand is scored 60 ways; sample less so decisions stay quick
+    trials: view.hand.length > 2 ? Math.ceil(k.trials / 4) : k.trials,
+    minOpponentScore: k.readsRanges && view.raisedPreflop ? 6 : null,
+    random
+  });
+  const potOdds = view.toCall > 0 ? view.toCall / (view.pot + view.toCall) : 0;
+  if (equity >= k.valueEquity) return raiseAction(view, k.sizing);
+  if (view.toCall === 0) return random() < k.bluff ? raiseAction(view, k.sizing * 0.75) : { type: "check" };
+  if (equity >= potOdds + k.callMargin) return { type: "call" };
+  return { type: "fold" };
+}
+
+function personality(id, k) {
+  return {
+    id,
+    label: k.label,
+    decide(view, random = Math.random) {
+      return view.board.length ? decidePostflop(k, view, random) : decidePreflop(k, view, random);
+    }
+  };
+}
+
+const strategies = new Map(Object.entries(PERSONALITIES).map(([id, k]) => [id, personality(id, k)]));
+
+export const DEFAULT_AI_STRATEGY = "strong";
+
+/** Add (or replace) a strategy; it becomes selectable for AI seats. */
+export function registerAiStrategy(strategy) {
+  if (!strategy?.id || typeof strategy.decide !== "function") throw new Error("AI strategy needs an id and decide()");
+  strategies.set(strategy.id, strategy);
+}
+
+/** The strategy for an id, or the default one. */
+export function getAiStrategy(id) {
+  return strategies.get(id) || strategies.get(DEFAULT_AI_STRATEGY);
+}
+
+/** Selectable strategies for the seat picker: [{ id, label }] */
+export function listAiStrategies() {
+  return [...strategies.values()].map((s) => ({ id: s.id, label: s.label || s.id }));
+}
@@ -0,0 +1,122 @@
+// --- No-limit, pot-limit and fixed-limit betting rules (pure; no room or socket access) ---
+// Amounts are "raise to" totals for the current street, like currentBet / currentMaxBet.
+//
+// round:  { currentMaxBet, minRaise, bigBlind, pot?, structure?, betSize?, bets?, raiseCap? }
+//         minRaise = size of the last full raise (>= big blind); pot = chips in the middle, this street's bets included;
+//         structure = "no-limit" (default) | "pot-limit" | "fixed-limit"
+//         fixed limit: every bet and raise is betSize; bets = bets and raises so far this street (the big
+//         blind counts as the first one preflop); at raiseCap of them the street is capped (0 = no cap)
+// player: { chips, currentBet, raiseReopenAt }   raiseReopenAt = bet level at which a player who has
+//         already acted this street may raise again (null if they have not acted yet)
+
+export const BETTING_STRUCTURES = ["no-limit", "pot-limit", "fixed-limit"];
+
+/**
+ * What the player to act may do.
+ * @returns {{toCall:number, canCheck:boolean, canRaise:boolean, minRaiseTo:number|null, maxRaiseTo:number|null}}
+ */
+export function getLegalActions(round, player) {
+  const toCall = Math.max(0, round.currentMaxBet - player.currentBet);
+  const stackTo = player.currentBet + player.chips;
+  // A short all-in does not reopen the betting to players who already acted; it takes a full raise
+  // (possibly built from several short ones) above the level they last faced.
+  const reopened = player.raiseReopenAt === null || player.raiseReopenAt === undefined || round.currentMaxBet >= player.raiseReopenAt;
+  const canRaise = reopened && stackTo > round.currentMaxBet && !isCapped(round);
+  let maxRaiseTo = stackTo;
+  if (round.structure === "pot-limit") maxRaiseTo = Math.min(stackTo, potLimitRaiseTo(round, player));
+  if (round.structure === "fixed-limit") maxRaiseTo = Math.min(stackTo, round.currentMaxBet + round.betSize);
+  const minRaiseTo = round.currentMaxBet + Math.max(round.minRaise, round.bigBlind);
+  return {
+    toCall: Math.min(toCall, player.chips),
+    canCheck: toCall === 0,
+    canRaise,
+    minRaiseTo: canRaise ? Math.min(minRaiseTo, maxRaiseTo) : null,
+    maxRaiseTo: canRaise ? maxRaiseTo : null
+  };
+}
+
+function isCapped(round) {
+  return round.structure === "fixed-limit" && round.raiseCap > 0 && (round.bets || 0) >= round.raiseCap;
+}
+
+// Pot limit: call first, then raise by at most the pot that makes.
+function potLimitRaiseTo(round, player) {
+  const toCall = Math.max(0, round.currentMaxBet - player.currentBet);
+  return round.currentMaxBet + (Number(round.pot) || 0) + toCall;
+}
+
+/**
+ * Check an action against the rules.
+ * Accepts { type: "fold"|"check"|"call"|"bet"|"raise"|"allin", raiseTo?, amount?, raiseBy? };
+ * `raiseBy` (amount over the current bet) is still understood for older clients. Under pot limit,
+ * "allin" with more chips than the pot allows becomes a raise to the pot (under fixed limit, one bet).
+ * @returns {{ok:true, type:string, amount:number, raiseTo:number|null} | {ok:false, error:string}}
+ *   amount = chips the player puts in now
+ */
+export function validateAction(round, player, action) {
+  const legal = getLegalActions(round, player);
+  const stackTo = player.currentBet + player.chips;
+  const type = String(action?.type || "");
+
+  if (type === "fold") return { ok: true, type: "fold", amount: 0, raiseTo: null };
+  if (type === "check") {
+    if (!legal.canCheck) return { ok: false, error: `You can't check facing a bet; call $${legal.toCall} or fold.` };
+    return { ok: true, type: "check", amount: 0, raiseTo: null };
+  }
+  if (type === "call") {
+    if (legal.toCall === 0) return { ok: true, type: "check", amount: 0, raiseTo: null };
+    return { ok: true, type: "call", amount: legal.toCall, raiseTo: null };
+  }
+  if (type === "allin") {
+    if (player.chips <= 0) return { ok: false, error: "You have no chips left." };
+    // all-in for no more than the current bet is just a call
+    if (stackTo > round.currentMaxBet && !legal.canRaise) return { ok: false, error: noRaiseError(round) };
+    // pot/fixed limit: the biggest bet allowed when the stack is worth more
+    if (legal.canRaise && stackTo > legal.maxRaiseTo) {
+      return { ok: true, type: "raise", amount: legal.maxRaiseTo - player.currentBet, raiseTo: legal.maxRaiseTo };
+    }
+    return { ok: true, type: "allin", amount: player.chips, raiseTo: Math.max(stackTo, player.currentBet) };
+  }
+  if (type === "raise" || type === "bet") {
+    let raiseTo = Number(action.raiseTo ?? action.amount);
+    if (!Number.isFinite(raiseTo) && action.raiseBy !== undefined) raiseTo = round.currentMaxBet + Number(action.raiseBy);
+    if (!Number.isFinite(raiseTo) || !Number.isInteger(raiseTo) || raiseTo <= 0) {
+      return { ok: false, error: "Invalid raise amount." };
+    }
+    if (!legal.canRaise) {
+      return { ok: false, error: stackTo > round.currentMaxBet ? noRaiseError(round) : "You don't have enough chips to raise." };
+    }
+    if (round.structure === "fixed-limit" && raiseTo !== legal.maxRaiseTo) {
+      return { ok: false, error: `Fixed limit: you can only raise to $${legal.maxRaiseTo}.` };
+    }
+    if (raiseTo > legal.maxRaiseTo) {
+      const limit = legal.maxRaiseTo < stackTo ? "Pot limit: you" : "You";
+      return { ok: false, error: `${limit} can raise to at most $${legal.maxRaiseTo}.` };
+    }
+    if (raiseTo === stackTo) return { ok: true, type: "allin", amount: player.chips, raiseTo };
+    if (raiseTo < legal.minRaiseTo) return { ok: false, error: `Minimum raise is to $${legal.minRaiseTo}.` };
+    return { ok: true, type: "raise", amount: raiseTo - player.currentBet, raiseTo };
+  }
+  return { ok: false, error: "Unknown action." };
+}
+
+function noRaiseError(round) {
+  return isCapped(round)
+    ? `Betting is capped at ${round.raiseCap} bets this street; you may only call or fold.`
+    : "Betting was not reopened to you; you may only call or fold.";
+}
+
+/**
+ * New street state after a player's bet reaches `raiseTo`. Only a full raise resets the
+ * minimum raise size; a short all-in just lifts the bet to match.
+ * @returns {{currentMaxBet:number, minRaise:number, isFullRaise:boolean}}
+ */
+export function resolveRaise(round, raiseTo) {
+  const increment = raiseTo - round.currentMaxBet;
+  const isFullRaise = increment >= Math.max(round.minRaise, round.bigBlind);
+  return {
+    currentMaxBet: Math.max(round.currentMaxBet, raiseTo),
+    minRaise: isFullRaise ? increment : round.minRaise,
+    isFullRaise
+  };
+}
@@ -0,0 +1,1365 @@
+// --- Hand engine (no sockets; time, randomness and timers are injected) ---
+// Deals and runs hands on a room-shaped table object: blinds, antes, straddles, betting, streets, side pots
+// and showdown. table.game picks the variant (lib/games.js): hole cards, showdown hands, betting. The engine never talks to clients; it reports what happened through events and
+// leaves presentation, persistence, tournaments and AI decisions to its owner (server.js, simulate.js).
+//
+// Events (all synchronous, table first):
+//   activity (table, msg)            activity log line
+//   player_action (table, seatIdx, text)
+//   state (table)                    public state changed
+//   turn (table)                     a player seat is to act (its action clock is running)
+//   ai_turn (table, seatIdx)         an AI seat is to act: answer with handleAction()
+//   private_hand (table, seatIdx, hand)
+//   before_deal (table, handNum)     last chance to change blinds/antes for the next hand
+//   not_enough_players (table)       startHand() found fewer than two players able to play
+//   run_it_prompt (table, vote)      all-in with cards to come: the players in the hand may agree to run it
+//                                    more than once (answer with voteRunIt())
+//   settle (table)                   pots awarded, before the hand is closed
+//   hand_over (table, result)        winners, pots, showdown hands (only those shown; mucked seats listed)
+//   hand_record (table, record)      finished hand history record (lib/handHistory.js)
+//   hand_finished (table)            the hand is over and the table is waiting for the next deal
+
+import { EventEmitter } from "events";
+import { buildPots, findUncalledBet, splitPot } from "./pots.js";
+import { BETTING_STRUCTURES, getLegalActions, resolveRaise, validateAction } from "./betting.js";
+import { gameDeck, getGame, historyGameName } from "./games.js";
+import { calculateEquity } from "./equity.js";
+import { compareHands } from "./handEval.js";
+import { createHandRecord, recordAction } from "./handHistory.js";
+
+// Who posts the ante: everyone dealt in, the big blind alone or the button alone.
+export const ANTE_MODES = ["everyone", "big-blind", "button"];
+
+// Most times an all-in run-out can be dealt, and how long players get to agree to it.
+export const MAX_RUNS = 3;
+export const RUN_IT_VOTE_MS = 15000;
+const RUN_WORDS = { 1: "once", 2: "twice", 3: "three times" };
+
+/**
+ * A fresh table with the fields the engine uses (server rooms carry more).
+ * @param {{seats?:number, game?:string, betting?:string, smallBet?:number, bigBet?:number, raiseCap?:number,
+ *          initialChips?:number, smallBlind?:number, bigBlind?:number, ante?:number, anteMode?:string, runItTimes?:number,
+ *          turnSeconds?:number, timeBankSeconds?:number, totalHands?:number, dealInAway?:boolean}} options
+ */
+export function createTable(options = {}) {
+  const bigBlind = options.bigBlind ?? 100;
+  return {
+    roomId: options.roomId ?? "table",
+    seats: Array.from({ length: options.seats ?? 10 }, () => null),
+    format: "cash",
+    game: getGame(options.game).id,
+    betting: options.betting ?? null, // null = the variant's structure
+    smallBet: options.smallBet ?? 0, // fixed limit; 0 = the big blind
+    bigBet: options.bigBet ?? 0, // fixed limit; 0 = twice the small bet
+    raiseCap: options.raiseCap ?? 4,
+    totalHands: options.totalHands ?? 0,
+    initialChips: options.initialChips ?? 1000,
+    smallBlind: options.smallBlind ?? bigBlind / 2,
+    bigBlind,
+    ante: options.ante ?? 0,
+    anteMode: options.anteMode ?? "everyone", // who posts the ante: "everyone" | "big-blind" | "button"
+    runItTimes: options.runItTimes ?? 1, // most run-outs players may agree to when all-in (1 = always once)
+    dealInAway: options.dealInAway ?? false, // tournaments: offline or sat-out players are still dealt in, post blinds and fold
+    turnSeconds: options.turnSeconds ?? 0,
+    timeBankSeconds: options.timeBankSeconds ?? 0,
+    handNum: 0,
+    dealerSeatIdx: 0,
+    sbSeatIdx: null,
+    bbSeatIdx: null,
+    sbPosIdx: null,
+    straddleSeatIdx: null,
+    lastAggressorSeatIdx: null, // last to bet or raise on the current street (shows first at showdown)
+    pot: 0,
+    round: "WAITING",
+    communityCards: [],
+    runBoards: [], // every board of an all-in run-out dealt more than once
+    runItVote: null, // { maxRuns, deadline, votes: Map<seatIdx, runs> } while players decide
+    runOut: null, // { from, runs, uncalled } once betting is over with cards to come (all-in)
+    equity: null, // { board, exact, seats: [{seatIdx, win, tie, equity}] } during an all-in run-out
+    deck: [],
+    currentMaxBet: 0,
+    minRaise: bigBlind,
+    streetBets: 0,
+    activeSeatIdx: null,
+    pendingActionSeats: new Set(),
+    players: new Map(),
+    turnNonce: 0,
+    aiTimer: null,
+    turnClock: null,
+    lastActorSeatIdx: null,
+    handHistory: [],
+    currentHand: null
+  };
+}
+
+/**
+ * @param {{random?:() => number, now?:() => number, setTimer?:Function, clearTimer?:Function,
+ *          isConnected?:(seat:object) => boolean, shuffle?:(deck:any[], table:object) => any[],
+ *          aiDelayMs?:number, runOutDelayMs?:number, equityBudget?:number, maxTimeouts?:number}} env
+ *   shuffle: orders a new deck for table.handNum (cards are dealt from the end); default Fisher–Yates with random
+ *   isConnected: whether a player seat's owner is online (offline players are dealt out, unless table.dealInAway)
+ *   aiDelayMs: pause before an AI seat is asked to act
+ *   runOutDelayMs: pause between the streets of an all-in run-out
+ *   equityBudget: hand scorings per equity update (lib/equity.js; an Omaha evaluation is 60); 0 turns equity off
+ *   maxTimeouts: clock expiries before a player is sat out
+ */
+export function createEngine(env = {}) {
+  const random = env.random || Math.random;
+  const now = env.now || Date.now;
+  const setTimer = env.setTimer || setTimeout;
+  const clearTimer = env.clearTimer || clearTimeout;
+  const isConnected = env.isConnected || (() => true);
+  const aiDelayMs = env.aiDelayMs ?? 700;
+  const runOutDelayMs = env.runOutDelayMs ?? 1500;
+  const equityBudget = env.equityBudget ?? 3000;
+  const maxTimeouts = env.maxTimeouts ?? 2;
+
+  const engine = new EventEmitter();
+  const emit = (event, ...args) => engine.emit(event, ...args);
+
+  function getPlayer(room, seatIdx) {
+    return room.players.get(seatIdx) || null;
+  }
+
+  function isSeatEligible(room, seatIdx) {
+    const seat = room.seats[seatIdx];
+    if (!seat) return false;
+    const p = getPlayer(room, seatIdx);
+    if (!p) return false;
+    // Away players are not eligible (prevents SB/BB/turn from stalling on them), unless the table deals them in.
+    if (!room.dealInAway && isAway(room, seatIdx)) return false;
+    return !p.isBankrupt && p.chips > 0;
+  }
+
+  // A player seat whose owner is offline or sitting out.
+  function isAway(room, seatIdx) {
+    const seat = room.seats[seatIdx];
+    const p = getPlayer(room, seatIdx);
+    if (!seat || !p) return false;
+    if (seat.type === "player" && !isConnected(seat)) return true;
+    return Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum;
+  }
+
+  function getInHandSeats(room) {
+    const out = [];
+    for (let i = 0; i < room.seats.length; i++) {
+      const seat = room.seats[i];
+      if (!seat) continue;
+      const p = getPlayer(room, i);
+      if (!p) continue;
+      if (!room.dealInAway) {
+        // an offline player stays in only with nothing left to decide: all in, or the board being run out
+        if (seat.type === "player" && !isConnected(seat) && p.chips > 0 && !room.runOut) continue;
+        const sitOut = Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum;
+        if (sitOut) continue;
+      }
+      if (!p.isFolded && !p.isBankrupt) out.push(i);
+    }
+    return out;
+  }
+
+  function getActableSeats(room) {
+    const out = [];
+    for (let i = 0; i < room.seats.length; i++) {
+      const seat = room.seats[i];
+      if (!seat) continue;
+      const p = getPlayer(room, i);
+      if (!p) continue;
+      if (!room.dealInAway && isAway(room, i)) continue;
+      if (!p.isFolded && !p.isBankrupt && p.chips > 0) out.push(i);
+    }
+    return out;
+  }
+
+  function nextSeatClockwise(room, fromSeatIdx, predicate) {
+    const n = room.seats.length;
+    for (let step = 1; step <= n; step++) {
+      const idx = (fromSeatIdx + step) % n;
+      if (predicate(idx)) return idx;
+    }
+    return null;
+  }
+
+  function getActiveOffset(room, startSeatIdx, offset) {
+    let count = 0;
+    let idx = startSeatIdx;
+    let loops = 0;
+    const maxLoops = room.seats.length * 3;
+    while (count < offset && loops < maxLoops) {
+      idx = (idx + 1) % room.seats.length;
+      if (isSeatEligible(room, idx)) count++;
+      loops++;
+    }
+    return idx;
+  }
+
+  // --- Cards (hand evaluation lives in lib/handEval.js) ---
+  function freshDeck(room) {
+    const deck = gameDeck(room.game);
+    if (env.shuffle) return env.shuffle(deck, room);
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+  }
+
+  // --- Game mechanics ---
+  function resetHand(room) {
+    room.handNum += 1;
+    room.pot = 0;
+    room.round = "PRE-FLOP";
+    room.communityCards = [];
+    room.runBoards = [];
+    room.runItVote = null;
+    room.runOut = null;
+    room.equity = null;
+    room.lastAggressorSeatIdx = null;
+    room.deck = freshDeck(room);
+    room.currentMaxBet = 0;
+    room.pendingActionSeats = new Set();
+    room.turnNonce += 1;
+
+    // Reset players
+    for (const [seatIdx, p] of room.players.entries()) {
+      p.hand = [];
+      p.currentBet = 0;
+      p.handContribution = 0;
+      p.raiseReopenAt = null;
+      p.shown = false;
+      const sitOut = Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum;
+      const seat = room.seats[seatIdx];
+      const disconnected = seat && seat.type === "player" && !isConnected(seat);
+      p.isFolded = p.chips <= 0 || (!room.dealInAway && (sitOut || disconnected));
+      p.isBankrupt = p.chips <= 0;
+    }
+  }
+
+  function ensurePlayersMap(room) {
+    for (let i = 0; i < room.seats.length; i++) {
+      const seat = room.seats[i];
+      if (!seat) continue;
+      if (!room.players.has(i)) {
+        room.players.set(i, {
+          seatIdx: i,
+          chips: Number.isFinite(room.initialChips) ? room.initialChips : 1000,
+          currentBet: 0,
+          handContribution: 0,
+          isFolded: false,
+          isBankrupt: false,
+          hand: [],
+          shown: false, // hole cards face up for everyone (all-in run-out, showdown, or shown by choice)
+          autoMuck: true, // give up a beaten hand at showdown instead of showing it
+          totalBuyIn: Number.isFinite(room.initialChips) ? room.initialChips : 1000,
+          pendingRebuy: 0,
+          sitOutUntilHand: 0,
+          missedBlinds: { sb: false, bb: false },
+          straddle: false, // opted in to straddle whenever this seat is UTG
+          timeBankMs: room.timeBankSeconds * 1000,
+          timeouts: 0
+        });
+      }
+    }
+    // Backfill fields for older rooms/players
+    for (const p of room.players.values()) {
+      if (!Number.isFinite(p.totalBuyIn)) p.totalBuyIn = Number.isFinite(room.initialChips) ? room.initialChips : 1000;
+      if (!Number.isFinite(p.pendingRebuy)) p.pendingRebuy = 0;
+      if (!Number.isFinite(p.sitOutUntilHand)) p.sitOutUntilHand = 0;
+      if (!Number.isFinite(p.handContribution)) p.handContribution = 0;
+      if (!Number.isFinite(p.timeBankMs)) p.timeBankMs = room.timeBankSeconds * 1000;
+      if (!Number.isFinite(p.timeouts)) p.timeouts = 0;
+      if (!p.missedBlinds) p.missedBlinds = { sb: false, bb: false };
+      if (typeof p.autoMuck !== "boolean") p.autoMuck = true;
+    }
+    // Remove players for emptied seats
+    for (const seatIdx of [...room.players.keys()]) {
+      if (!room.seats[seatIdx]) room.players.delete(seatIdx);
+    }
+  }
+
+  function applyPendingRebuys(room) {
+    for (let i = 0; i < room.seats.length; i++) {
+      const seat = room.seats[i];
+      if (!seat || seat.type !== "player") continue;
+      const p = getPlayer(room, i);
+      if (!p) continue;
+      const pend = Number(p.pendingRebuy || 0);
+      if (!Number.isFinite(pend) || pend <= 0) continue;
+      p.chips += pend;
+      p.pendingRebuy = 0;
+      p.isBankrupt = false;
+      p.isFolded = false;
+      p.currentBet = 0;
+      p.hand = [];
+      emit("activity", room, `${seat.name} rebuys $${pend}.`);
+    }
+  }
+
+  function postBlind(room, seatIdx, amount) {
+    const p = getPlayer(room, seatIdx);
+    if (!p || p.isBankrupt) return 0;
+    const amt = Number(amount);
+    if (!Number.isFinite(amt) || amt <= 0) return 0;
+    const real = Math.min(amt, p.chips);
+    p.chips -= real;
+    p.currentBet += real;
+    p.handContribution += real;
+    room.pot += real;
+    room.currentMaxBet = Math.max(room.currentMaxBet, p.currentBet);
+    return real;
+  }
+
+  // Dead money: goes into the pot but does not count toward the player's bet this street.
+  function postDeadBlind(room, seatIdx, amount) {
+    const p = getPlayer(room, seatIdx);
+    if (!p || p.isBankrupt) return 0;
+    const real = Math.min(Number(amount) || 0, p.chips);
+    if (real <= 0) return 0;
+    p.chips -= real;
+    p.handContribution += real;
+    room.pot += real;
+    return real;
+  }
+
+  // liveSeats: seats dealt in, taken before the forced bets (an ante or blind can put a player all-in).
+  function dealHoleCards(room, liveSeats) {
+    const eligibleSeats = [];
+    for (let i = 0; i < room.seats.length; i++) {
+      const seatIdx = (room.dealerSeatIdx + 1 + i) % room.seats.length;
+      if (liveSeats.includes(seatIdx)) eligibleSeats.push(seatIdx);
+    }
+    const holeCards = getGame(room.game).holeCards;
+    for (let round = 0; round < holeCards; round++) {
+      for (const seatIdx of eligibleSeats) {
+        const p = getPlayer(room, seatIdx);
+        if (!p) continue;
+        const card = room.deck.pop();
+        p.hand.push(card);
+      }
+    }
+  }
+
+  function initPendingAction(room, startSeatIdx) {
+    const actable = getActableSeats(room);
+    room.pendingActionSeats = new Set(actable);
+    room.activeSeatIdx = startSeatIdx;
+  }
+
+  function removeIneligibleFromPending(room) {
+    for (const seatIdx of [...room.pendingActionSeats]) {
+      const p = getPlayer(room, seatIdx);
+      if (!p || p.isFolded || p.isBankrupt || p.chips <= 0) room.pendingActionSeats.delete(seatIdx);
+    }
+  }
+
+  function chooseNextActor(room, fromSeatIdx) {
+    removeIneligibleFromPending(room);
+    if (room.pendingActionSeats.size === 0) return null;
+    const nxt = nextSeatClockwise(room, fromSeatIdx, (idx) => room.pendingActionSeats.has(idx));
+    return nxt;
+  }
+
+  function startHand(room) {
+    ensurePlayersMap(room);
+    applyPendingRebuys(room);
+    emit("before_deal", room, room.handNum + 1);
+
+    const activeEligible = [];
+    for (let i = 0; i < room.seats.length; i++) if (isSeatEligible(room, i)) activeEligible.push(i);
+    if (activeEligible.length < 2) {
+      emit("not_enough_players", room);
+      return;
+    }
+
+    resetHand(room); // increments handNum; only do this once we're sure the hand will actually start
+    emit("activity", room, room.format === "tournament" ? `--- HAND ${room.handNum} ---` : `--- HAND ${room.handNum} / ${room.totalHands} ---`);
+
+    // seats dealt in this hand (sit-outs ending this hand count now that handNum moved on)
+    const liveSeats = [];
+    for (let i = 0; i < room.seats.length; i++) if (isSeatEligible(room, i)) liveSeats.push(i);
+    const { sbSeat, bbSeat, utgSeat } = assignPositions(room, liveSeats);
+    room.sbSeatIdx = sbSeat;
+    room.bbSeatIdx = bbSeat;
+    room.currentHand = createHandRecord({
+      roomId: room.roomId,
+      handNum: room.handNum,
+      game: historyGameName(room.game, getBettingStructure(room).structure),
+      smallBlind: room.smallBlind,
+      bigBlind: room.bigBlind,
+      buttonSeat: room.dealerSeatIdx,
+      seats: liveSeats.map((seatIdx) => ({ seatIdx, name: room.seats[seatIdx].name, stack: getPlayer(room, seatIdx).chips }))
+    });
+    room.currentHand.sbSeat = sbSeat;
+    room.currentHand.bbSeat = bbSeat;
+
+    // antes: dead money posted before the blinds, by everyone dealt in or by the button alone
+    // (a big blind ante comes after the big blind, so a short stack covers the blind first)
+    const anteMode = ANTE_MODES.includes(room.anteMode) ? room.anteMode : "everyone";
+    if (room.ante > 0 && anteMode === "everyone") {
+      for (const seatIdx of liveSeats) recordHandAction(room, seatIdx, "ante", postDeadBlind(room, seatIdx, room.ante));
+      emit("activity", room, `Everyone posts ante $${room.ante}`);
+    } else if (room.ante > 0 && anteMode === "button") {
+      if (liveSeats.includes(room.dealerSeatIdx)) {
+        recordHandAction(room, room.dealerSeatIdx, "ante", postDeadBlind(room, room.dealerSeatIdx, room.ante));
+        emit("activity", room, `${room.seats[room.dealerSeatIdx].name} posts button ante $${room.ante}`);
+      } else {
+        emit("activity", room, "Dead button: no ante this hand.");
+      }
+    }
+
+    // blinds
+    if (sbSeat !== null) {
+      const sb = postBlind(room, sbSeat, room.smallBlind);
+      recordHandAction(room, sbSeat, "small_blind", sb);
+      emit("activity", room, `${room.seats[sbSeat].name} posts SB $${room.smallBlind}`);
+    } else {
+      emit("activity", room, "Dead small blind.");
+    }
+    const bb = postBlind(room, bbSeat, room.bigBlind);
+    recordHandAction(room, bbSeat, "big_blind", bb);
+    emit("activity", room, `${room.seats[bbSeat].name} posts BB $${room.bigBlind}`);
+    if (room.ante > 0 && anteMode === "big-blind") {
+      recordHandAction(room, bbSeat, "ante", postDeadBlind(room, bbSeat, room.ante));
+      emit("activity", room, `${room.seats[bbSeat].name} posts big blind ante $${room.ante}`);
+    }
+    for (const seatIdx of liveSeats) postMissedBlinds(room, seatIdx);
+    const straddleTo = postStraddle(room, liveSeats, utgSeat);
+
+    // deal
+    dealHoleCards(room, liveSeats);
+    for (const s of room.currentHand.seats) s.holeCards = [...getPlayer(room, s.seatIdx).hand];
+
+    // private cards (an empty hand for seats not dealt in)
+    for (const [seatIdx, p] of room.players) emit("private_hand", room, seatIdx, p.hand);
+
+    // betting setup
+    room.currentMaxBet = Math.max(room.bigBlind, ...[...room.players.values()].map((p) => p.currentBet));
+    room.minRaise = streetMinRaise(room);
+    room.streetBets = 1; // the big blind is the first bet
+    if (straddleTo > 0) {
+      // the straddle is a blind raise: the next raise is at least its size (one more bet under fixed limit)
+      if (getBettingStructure(room).structure === "fixed-limit") room.streetBets = 2;
+      else room.minRaise = Math.max(room.minRaise, straddleTo);
+    }
+    // with a straddle the player on its left opens and the straddler acts last
+    initPendingAction(room, straddleTo > 0 ? nextSeatClockwise(room, utgSeat, (idx) => liveSeats.includes(idx)) : utgSeat);
+
+    emit("state", room);
+    requestTurn(room);
+  }
+
+  // Straddle: a UTG player who opted in posts a live blind raise to twice the big blind (the big
+  // blind plus one small bet under fixed limit) before the cards are dealt. Not heads-up, and not by
+  // a player who already has a blind in (a returning player posting missed blinds).
+  // Returns the straddle total, or 0 when nobody straddled.
+  function postStraddle(room, liveSeats, utgSeat) {
+    room.straddleSeatIdx = null;
+    const p = getPlayer(room, utgSeat);
+    if (liveSeats.length < 3 || !p?.straddle || p.chips <= 0 || p.currentBet > 0) return 0;
+    const b = getBettingStructure(room);
+    const straddleTo = b.structure === "fixed-limit" ? room.bigBlind + b.smallBet : room.bigBlind * 2;
+    const put = postBlind(room, utgSeat, straddleTo);
+    recordHandAction(room, utgSeat, "straddle", put);
+    emit("activity", room, `${room.seats[utgSeat].name} posts straddle $${put}`);
+    room.straddleSeatIdx = utgSeat;
+    if (room.currentHand) room.currentHand.straddleSeat = utgSeat;
+    return put;
+  }
+
+  // Moving-blind / dead-button rules. The big blind advances to the next live player each hand; the
+  // small blind sits where the big blind was (a dead small blind if that player is gone) and the
+  // button where the small blind was, even if that seat is now empty. Heads-up the button posts the
+  // small blind and acts first preflop (and last postflop); three-handed the button is also UTG.
+  function assignPositions(room, liveSeats) {
+    const isLive = (idx) => liveSeats.includes(idx);
+    const prevBb = Number.isInteger(room.bbSeatIdx) ? room.bbSeatIdx : null;
+
+    if (liveSeats.length === 2) {
+      let bbSeat;
+      if (prevBb === null) {
+        if (!isLive(room.dealerSeatIdx)) room.dealerSeatIdx = nextSeatClockwise(room, room.dealerSeatIdx, isLive);
+        bbSeat = nextSeatClockwise(room, room.dealerSeatIdx, isLive);
+      } else {
+        bbSeat = nextSeatClockwise(room, prevBb, isLive);
+        markSkippedBigBlinds(room, prevBb, bbSeat);
+      }
+      const sbSeat = nextSeatClockwise(room, bbSeat, isLive);
+      room.dealerSeatIdx = sbSeat;
+      room.sbPosIdx = sbSeat;
+      return { sbSeat, bbSeat, utgSeat: sbSeat };
+    }
+
+    let sbPos;
+    let bbSeat;
+    if (prevBb === null) {
+      sbPos = getActiveOffset(room, room.dealerSeatIdx, 1);
+      bbSeat = getActiveOffset(room, room.dealerSeatIdx, 2);
+    } else {
+      bbSeat = nextSeatClockwise(room, prevBb, isLive);
+      markSkippedBigBlinds(room, prevBb, bbSeat);
+      if (room.sbPosIdx === room.dealerSeatIdx) {
+        // coming out of heads-up (button was the small blind): button goes to the live seat behind the new SB
+        let btn = prevBb;
+        do btn = (btn + room.seats.length - 1) % room.seats.length; while (btn !== prevBb && !isLive(btn));
+        room.dealerSeatIdx = btn;
+      } else if (Number.isInteger(room.sbPosIdx)) {
+        room.dealerSeatIdx = room.sbPosIdx;
+      }
+      sbPos = prevBb;
+    }
+    room.sbPosIdx = sbPos;
+    const sbSeat = isLive(sbPos) ? sbPos : null;
+    if (sbSeat === null) markMissedBlind(room, sbPos, "sb");
+    return { sbSeat, bbSeat, utgSeat: nextSeatClockwise(room, bbSeat, isLive) };
+  }
+
+  // Seated players the big blind jumped over (sitting out / disconnected) owe both blinds.
+  function markSkippedBigBlinds(room, fromSeatIdx, toSeatIdx) {
+    for (let idx = (fromSeatIdx + 1) % room.seats.length; idx !== toSeatIdx; idx = (idx + 1) % room.seats.length) {
+      markMissedBlind(room, idx, "bb");
+    }
+  }
+
+  function markMissedBlind(room, seatIdx, which) {
+    const seat = room.seats[seatIdx];
+    if (!seat || seat.type !== "player") return;
+    const p = getPlayer(room, seatIdx);
+    // busted players are out of the game, not dodging blinds
+    if (!p || p.isBankrupt || p.chips <= 0) return;
+    if (which === "bb") p.missedBlinds.bb = true;
+    p.missedBlinds.sb = true;
+  }
+
+  // A returning player posts what they owe: the big blind live, the small blind dead.
+  // Being in the blinds this hand settles it.
+  function postMissedBlinds(room, seatIdx) {
+    const p = getPlayer(room, seatIdx);
+    if (!p || (!p.missedBlinds.sb && !p.missedBlinds.bb)) return;
+    const owed = p.missedBlinds;
+    p.missedBlinds = { sb: false, bb: false };
+    if (seatIdx === room.sbSeatIdx || seatIdx === room.bbSeatIdx) return;
+    const live = owed.bb ? postBlind(room, seatIdx, room.bigBlind) : 0;
+    const dead = owed.sb ? postDeadBlind(room, seatIdx, room.smallBlind) : 0;
+    recordHandAction(room, seatIdx, owed.bb ? "missed_blinds" : "small_blind", live + dead);
+    emit("activity", room, `${room.seats[seatIdx].name} posts missed blinds $${live + dead}`);
+  }
+
+  function canAdvanceStreet(room) {
+    // an all-in run-out deals its own streets
+    if (room.runOut) return false;
+    removeIneligibleFromPending(room);
+    if (room.pendingActionSeats.size !== 0) return false;
+    return true;
+  }
+
+  function dealCommunity(room, n) {
+    for (let i = 0; i < n; i++) {
+      room.communityCards.push(room.deck.pop());
+    }
+  }
+
+  function proceedToNextStreet(room) {
+    // nobody left to bet against: the all-in run-out deals the rest
+    if (getInHandSeats(room).length > 1 && isActionClosed(room)) {
+      runOut(room);
+      return;
+    }
+    // reset bets
+    for (const p of room.players.values()) {
+      p.currentBet = 0;
+      p.raiseReopenAt = null;
+    }
+    room.currentMaxBet = 0;
+    room.streetBets = 0;
+
+    if (room.round === "PRE-FLOP") {
+      room.round = "FLOP";
+      dealCommunity(room, 3);
+    } else if (room.round === "FLOP") {
+      room.round = "TURN";
+      dealCommunity(room, 1);
+    } else if (room.round === "TURN") {
+      room.round = "RIVER";
+      dealCommunity(room, 1);
+    } else {
+      room.round = "SHOWDOWN";
+    }
+
+    if (room.round === "SHOWDOWN") {
+      finishHand(room);
+      return;
+    }
+    room.minRaise = streetMinRaise(room);
+    room.lastAggressorSeatIdx = null; // reset each street: the river's last aggressor shows first
+
+    // first to act postflop: seat after dealer (heads-up that is the big blind, so the button acts last)
+    const first = getActiveOffset(room, room.dealerSeatIdx, 1);
+    initPendingAction(room, first);
+    emit("state", room);
+    requestTurn(room);
+  }
+
+  function finishHand(room) {
+    // stop any pending AI timers
+    clearTimer(room.aiTimer);
+    room.aiTimer = null;
+    room.runItVote = null;
+    stopTurnClock(room);
+    // an all-in run-out: where the board stood when betting closed, boards agreed on, bet already returned
+    const runOut = room.runOut;
+    room.runOut = null;
+    room.equity = null;
+    const runs = runOut?.runs ?? 1;
+
+    // freeze betting loop
+    room.pendingActionSeats = new Set();
+    room.activeSeatIdx = null;
+
+    const inHand = getInHandSeats(room);
+    if (inHand.length === 0) {
+      // This shouldn't normally happen; prefer awarding pot to last actor to avoid dead-end states.
+      const fallbackSeat = Number.isInteger(room.lastActorSeatIdx) ? room.lastActorSeatIdx : null;
+      const fallbackSeatValid =
+        fallbackSeat !== null &&
+        fallbackSeat !== undefined &&
+        room.seats[fallbackSeat] &&
+        getPlayer(room, fallbackSeat);
+
+      if (fallbackSeatValid) {
+        const wp = getPlayer(room, fallbackSeat);
+        wp.chips += room.pot;
+        const winnerName = room.seats[fallbackSeat].name;
+        emit("activity", room, `Game Over. ${winnerName} wins (fallback: no active players).`);
+        room.pot = 0;
+        room.round = "HAND_OVER";
+        emit("hand_over", room, {
+          handNum: room.handNum,
+          totalHands: room.totalHands,
+          winners: [{ seatIdx: fallbackSeat, name: winnerName }],
+          desc: "No active players (fallback)",
+          showdownHands: []
+        });
+        closeHandRecord(room, { winners: [{ seatIdx: fallbackSeat, name: winnerName }], desc: "No active players (fallback)" });
+        emit("state", room);
+        emit("hand_finished", room);
+        return;
+      }
+
+      emit("activity", room, "Hand ended (no active players).");
+      room.pot = 0;
+      room.round = "HAND_OVER";
+      emit("hand_over", room, { handNum: room.handNum, totalHands: room.totalHands, winners: [], desc: "No active players" });
+      closeHandRecord(room, { winners: [], desc: "No active players" });
+      emit("state", room);
+      emit("hand_finished", room);
+      return;
+    }
+    // Give back the unmatched part of the last bet before splitting anything.
+    const uncalled = refundUncalledBet(room) || runOut?.uncalled || null;
+
+    // if showdown but not 5 cards, deal remaining; further runs come off the same deck, after the first
+    const boards = [];
+    if (inHand.length >= 2) {
+      const shared = runOut ? runOut.from : room.communityCards.length;
+      while (room.communityCards.length < 5) dealCommunity(room, 1);
+      boards.push(room.communityCards);
+      for (let run = 1; run < runs && shared < 5; run++) {
+        const board = room.communityCards.slice(0, shared);
+        while (board.length < 5) board.push(room.deck.pop());
+        boards.push(board);
+      }
+    }
+    room.runBoards = boards.length > 1 ? boards.map((b) => [...b]) : [];
+    const game = getGame(room.game);
+    const evalsByRun = boards.map((board) => new Map(inHand.map((seatIdx) => [seatIdx, game.evaluate(getPlayer(room, seatIdx).hand, board)])));
+    const evals = evalsByRun[0] || new Map();
+
+    const pots = buildPots(getHandContributions(room), inHand).map((pot, potIdx) => {
+      // A pot nobody live covered only holds dead money; let the remaining players split it.
+      const contenders = pot.eligible.length ? pot.eligible : inHand;
+      // each board plays for an equal share of every pot (odd chips to the first run)
+      const amounts = boards.length > 1 ? [...splitPot(pot.amount, boards.map((_b, run) => run)).values()] : [pot.amount];
+      const runShares = amounts.map((amount, run) => ({ run, amount, ...awardPotShare(room, amount, contenders, evalsByRun[run] || evals) }));
+      const winners = [];
+      for (const share of runShares) {
+        for (const w of share.winners) {
+          const prev = winners.find((x) => x.seatIdx === w.seatIdx);
+          if (prev) prev.amount += w.amount;
+          else winners.push({ ...w });
+        }
+      }
+      return {
+        potIdx,
+        name: potIdx === 0 ? "Main pot" : `Side pot ${potIdx}`,
+        amount: pot.amount,
+        eligible: pot.eligible,
+        winners,
+        desc: runShares[0].desc,
+        ...(runShares.length > 1 ? { runs: runShares } : {})
+      };
+    });
+
+    // Overall winners: main pot first, then anyone who only took a side pot.
+    const winners = [];
+    for (const pot of pots) {
+      for (const w of pot.winners) {
+        if (!winners.some((x) => x.seatIdx === w.seatIdx)) winners.push({ seatIdx: w.seatIdx, name: w.name });
+      }
+    }
+    const uncontested = inHand.length === 1;
+    const desc = uncontested ? "All others folded" : (pots[0]?.desc || "");
+    // an uncontested winner's cards stay hidden unless they choose to show them (showCards)
+    const { showdownHands, mucked } = uncontested
+      ? { showdownHands: [], mucked: [] }
+      : revealShowdown(room, inHand, evals, winners, boards.length === 1);
+    if (boards.length > 1) {
+      for (const sh of showdownHands) sh.runs = evalsByRun.map((e) => ({ handName: e.get(sh.seatIdx).name, bestCards: e.get(sh.seatIdx).cards }));
+    }
+    if (uncontested) {
+      emit("activity", room, `Game Over. ${winners[0]?.name || room.seats[inHand[0]].name} wins (all others folded)!`);
+    } else if (boards.length > 1) {
+      emit("activity", room, `Game Over. The board was run ${RUN_WORDS[boards.length]}.`);
+      for (const pot of pots) {
+        for (const share of pot.runs) {
+          emit("activity", room, `Run ${share.run + 1}: ${share.winners.map((w) => w.name).join(" & ")} wins ${pot.name} $${share.amount} (${share.desc}).`);
+        }
+      }
+    } else {
+      const mainNames = (pots[0]?.winners || []).map((w) => w.name).join(" & ");
+      emit("activity", room, `Game Over. ${mainNames} wins with ${desc}!`);
+      if (pots.length > 1) {
+        for (const pot of pots) {
+          emit("activity", room, `${pot.winners.map((w) => w.name).join(" & ")} wins ${pot.name} $${pot.amount} (${pot.desc}).`);
+        }
+      }
+    }
+    // owners settle anything that depends on the new stacks (tournament eliminations)
+    emit("settle", room);
+    room.pot = 0;
+    room.round = "HAND_OVER";
+    emit("hand_over", room, {
+      handNum: room.handNum,
+      totalHands: room.totalHands,
+      winners,
+      desc,
+      pots,
+      uncalled,
+      boards: boards.length ? boards : [[...room.communityCards]],
+      showdownHands,
+      mucked
+    });
+    closeHandRecord(room, {
+      winners,
+      desc,
+      pots,
+      uncalled,
+      boards: room.runBoards,
+      showdown: showdownHands.map((sh) => ({
+        seatIdx: sh.seatIdx,
+        name: sh.name,
+        cards: sh.hand,
+        handName: sh.handName,
+        ...(sh.runs ? { handNames: sh.runs.map((r) => r.handName) } : {})
+      })),
+      mucked
+    });
+    emit("state", room);
+    emit("hand_finished", room);
+  }
+
+  // Showdown order: the last aggressor of the final street shows first (the first seat left of the
+  // button when it was checked through), then clockwise. Each player shows a hand that took chips or is
+  // at least as good as the best shown so far; anyone else with auto-muck on gives theirs up unseen.
+  // Hands already face up (all-in) stay shown.
+  function revealShowdown(room, inHand, evals, winners, announce) {
+    const n = room.seats.length;
+    const first = inHand.includes(room.lastAggressorSeatIdx) ? room.lastAggressorSeatIdx : orderByPosition(room, inHand)[0];
+    const order = [...inHand].sort((a, b) => ((a - first + n) % n) - ((b - first + n) % n));
+    const paid = new Set(winners.map((w) => w.seatIdx));
+    const showdownHands = [];
+    const mucked = [];
+    let best = null;
+    for (const seatIdx of order) {
+      const p = getPlayer(room, seatIdx);
+      const h = evals.get(seatIdx);
+      const name = room.seats[seatIdx]?.name || `Seat-${seatIdx}`;
+      if (p.shown || !p.autoMuck || !best || paid.has(seatIdx) || compareHands(h, best) >= 0) {
+        p.shown = true;
+        if (!best || compareHands(h, best) > 0) best = h;
+        showdownHands.push({ seatIdx, name, hand: [...p.hand], handName: h.name, bestCards: h.cards });
+        if (announce) emit("activity", room, `${name} shows ${h.name}.`);
+      } else {
+        mucked.push({ seatIdx, name });
+        emit("activity", room, `${name} mucks.`);
+      }
+    }
+    return { showdownHands, mucked };
+  }
+
+  // Pay one board's share of a pot to its best hand(s) among the contenders.
+  function awardPotShare(room, amount, contenders, evals) {
+    let desc = "All others folded";
+    if (contenders.length > 1) {
+      let best = null;
+      for (const seatIdx of contenders) {
+        const h = evals.get(seatIdx);
+        if (!best || compareHands(h, best) > 0) best = h;
+      }
+      contenders = contenders.filter((seatIdx) => compareHands(evals.get(seatIdx), best) === 0);
+      desc = best.desc;
+    } else if (evals.has(contenders[0])) {
+      desc = evals.get(contenders[0]).desc;
+    }
+    const winners = [];
+    for (const [seatIdx, share] of splitPot(amount, orderByPosition(room, contenders))) {
+      getPlayer(room, seatIdx).chips += share;
+      winners.push({ seatIdx, name: room.seats[seatIdx].name, amount: share });
+    }
+    return { winners, desc };
+  }
+
+  function getHandContributions(room) {
+    const out = new Map();
+    for (const [seatIdx, p] of room.players.entries()) {
+      if (p.handContribution > 0) out.set(seatIdx, p.handContribution);
+    }
+    return out;
+  }
+
+  // Seats ordered clockwise starting left of the button (used for odd-chip awards).
+  function orderByPosition(room, seatIdxs) {
+    const n = room.seats.length;
+    const dist = (idx) => (idx - room.dealerSeatIdx - 1 + n) % n;
+    return [...seatIdxs].sort((a, b) => dist(a) - dist(b));
+  }
+
+  function refundUncalledBet(room) {
+    const uncalled = findUncalledBet(getHandContributions(room));
+    if (!uncalled) return null;
+    const p = getPlayer(room, uncalled.seatIdx);
+    if (!p) return null;
+    p.chips += uncalled.amount;
+    p.handContribution -= uncalled.amount;
+    p.currentBet = Math.max(0, p.currentBet - uncalled.amount);
+    room.pot -= uncalled.amount;
+    const name = room.seats[uncalled.seatIdx]?.name || `Seat-${uncalled.seatIdx}`;
+    emit("activity", room, `Uncalled bet $${uncalled.amount} returned to ${name}.`);
+    return { seatIdx: uncalled.seatIdx, name, amount: uncalled.amount };
+  }
+
+  // --- Hand history ---
+  function recordHandAction(room, seatIdx, type, amount, extra = {}) {
+    if (!room.currentHand) return;
+    const p = getPlayer(room, seatIdx);
+    recordAction(room.currentHand, {
+      street: room.round,
+      seatIdx,
+      name: room.seats[seatIdx]?.name || `Seat-${seatIdx}`,
+      type,
+      amount,
+      allIn: !!p && p.chips === 0 && type !== "fold" && type !== "check",
+      ...extra
+    });
+  }
+
+  function closeHandRecord(room, result) {
+    const rec = room.currentHand || { handNum: room.handNum };
+    Object.assign(rec, result, { board: [...room.communityCards], endedAt: now() });
+    for (const s of rec.seats || []) s.shown = !!getPlayer(room, s.seatIdx)?.shown;
+    room.handHistory.push(rec);
+    room.currentHand = null;
+    emit("hand_record", room, rec);
+  }
+
+  function requestTurn(room) {
+    // an all-in run-out deals itself on a timer (after the run-it vote, which may be settled now)
+    if (room.runOut) {
+      if (room.runItVote) tallyRunItVote(room);
+      else emit("state", room);
+      return;
+    }
+    clearTimer(room.aiTimer);
+
+    // if only one left
+    const inHand = getInHandSeats(room);
+    if (inHand.length <= 1) {
+      finishHand(room);
+      return;
+    }
+
+    // if nobody is left to bet against (everyone else is all-in), fast-forward streets to showdown
+    if (isActionClosed(room)) {
+      runOut(room);
+      return;
+    }
+
+    // ensure current active is something that still needs to act
+    removeIneligibleFromPending(room);
+    if (room.activeSeatIdx === null || room.activeSeatIdx === undefined || !room.pendingActionSeats.has(room.activeSeatIdx)) {
+      const any = chooseNextActor(room, room.activeSeatIdx ?? room.dealerSeatIdx);
+      room.activeSeatIdx = any;
+    }
+    if (room.activeSeatIdx === null || room.activeSeatIdx === undefined) {
+      proceedToNextStreet(room);
+      return;
+    }
+
+    const seat = room.seats[room.activeSeatIdx];
+    const away = seat?.type === "player" && room.dealInAway && isAway(room, room.activeSeatIdx);
+    if (seat && seat.type === "player" && !away) startTurnClock(room, room.activeSeatIdx);
+    else stopTurnClock(room);
+
+    emit("state", room);
+
+    if (away) {
+      // nobody there to act: check or fold for them after the usual AI pause (they may be back by then)
+      const awaySeatIdx = room.activeSeatIdx;
+      room.aiTimer = setTimer(() => {
+        if (room.activeSeatIdx !== awaySeatIdx) return;
+        if (!isAway(room, awaySeatIdx)) {
+          requestTurn(room);
+          return;
+        }
+        const p = getPlayer(room, awaySeatIdx);
+        handleAction(room, awaySeatIdx, { type: room.currentMaxBet > p.currentBet ? "fold" : "check" });
+      }, aiDelayMs);
+    } else if (seat && seat.type === "ai") {
+      // CRITICAL: capture seatIdx now; do NOT reference room.activeSeatIdx inside timeout
+      const aiSeatIdx = room.activeSeatIdx;
+      room.aiTimer = setTimer(() => {
+        // only act if it's still this AI's turn and seat is still AI
+        if (room.activeSeatIdx !== aiSeatIdx) return;
+        const s = room.seats[aiSeatIdx];
+        if (!s || s.type !== "ai") return;
+        emit("ai_turn", room, aiSeatIdx);
+      }, aiDelayMs);
+    } else {
+      // human: client will send action
+      emit("turn", room);
+    }
+  }
+
+  // No more betting this hand: nobody can act, or the one player who can has nothing to call.
+  function isActionClosed(room) {
+    const actable = getActableSeats(room);
+    if (actable.length === 0) return true;
+    return actable.length === 1 && getPlayer(room, actable[0]).currentBet >= room.currentMaxBet;
+  }
+
+  // --- All-in run-outs ---
+  // Once no more betting is possible the uncalled bet goes back, the hands still in are turned face up
+  // and the rest of the board is dealt a street at a time (runOutDelayMs apart), with each hand's
+  // equity (lib/equity.js) after every street in table.equity.
+  // With cards to come, the players in the hand may first agree to deal the rest of the board up to
+  // table.runItTimes times. AI seats always agree; the smallest answer wins and no answer counts as once.
+  function runOut(room) {
+    stopTurnClock(room);
+    room.pendingActionSeats = new Set();
+    room.activeSeatIdx = null;
+    room.runOut = { from: room.communityCards.length, runs: 1, uncalled: refundUncalledBet(room) };
+    for (const p of room.players.values()) {
+      p.currentBet = 0;
+      p.raiseReopenAt = null;
+    }
+    room.currentMaxBet = 0;
+    if (room.communityCards.length >= 5) {
+      finishHand(room);
+      return;
+    }
+    const inHand = getInHandSeats(room);
+    for (const seatIdx of inHand) getPlayer(room, seatIdx).shown = true;
+    updateEquity(room);
+
+    const maxRuns = getMaxRuns(room);
+    const voters = inHand.filter((seatIdx) => room.seats[seatIdx]?.type === "player");
+    if (maxRuns <= 1 || !voters.length) {
+      room.runOut.runs = maxRuns;
+      emit("state", room);
+      scheduleRunOutStreet(room);
+      return;
+    }
+    const votes = new Map();
+    for (const seatIdx of inHand) if (!voters.includes(seatIdx)) votes.set(seatIdx, maxRuns);
+    const vote = { maxRuns, deadline: now() + RUN_IT_VOTE_MS, votes };
+    room.runItVote = vote;
+    room.aiTimer = setTimer(() => {
+      if (room.runItVote === vote) tallyRunItVote(room, true);
+    }, RUN_IT_VOTE_MS);
+    emit("activity", room, `All in. Run it ${RUN_WORDS[maxRuns]}?`);
+    emit("state", room);
+    emit("run_it_prompt", room, getRunItVoteState(room));
+  }
+
+  function scheduleRunOutStreet(room) {
+    clearTimer(room.aiTimer);
+    room.aiTimer = setTimer(() => dealRunOutStreet(room), runOutDelayMs);
+  }
+
+  // Next street of the (first) run-out; after the river, the showdown.
+  function dealRunOutStreet(room) {
+    room.aiTimer = null;
+    if (!room.runOut) return;
+    const dealt = room.communityCards.length;
+    if (dealt >= 5 || getInHandSeats(room).length < 2) {
+      finishHand(room);
+      return;
+    }
+    room.round = dealt === 0 ? "FLOP" : dealt === 3 ? "TURN" : "RIVER";
+    dealCommunity(room, dealt === 0 ? 3 : 1);
+    updateEquity(room);
+    emit("state", room);
+    scheduleRunOutStreet(room);
+  }
+
+  function updateEquity(room) {
+    const inHand = getInHandSeats(room);
+    if (!equityBudget || inHand.length < 2) {
+      room.equity = null;
+      return;
+    }
+    const hands = inHand.map((seatIdx) => getPlayer(room, seatIdx).hand);
+    const result = calculateEquity(hands, room.communityCards, { game: room.game, budget: equityBudget, random });
+    room.equity = {
+      board: room.communityCards.length,
+      exact: result.exact,
+      seats: inHand.map((seatIdx, i) => ({ seatIdx, ...result.players[i] }))
+    };
+  }
+
+  // How many boards this run-out can have: the room's limit, if the deck has the cards for them.
+  function getMaxRuns(room) {
+    const toCome = 5 - room.communityCards.length;
+    if (toCome <= 0 || getInHandSeats(room).length < 2) return 1;
+    const allowed = Math.min(MAX_RUNS, Math.max(1, Math.floor(Number(room.runItTimes)) || 1));
+    return Math.max(1, Math.min(allowed, Math.floor(room.deck.length / toCome)));
+  }
+
+  /** @returns {string|null} an error for the player, or null once the answer is counted */
+  function voteRunIt(room, seatIdx, runs) {
+    const vote = room.runItVote;
+    if (!vote) return "There is no run-out to vote on.";
+    if (!getInHandSeats(room).includes(seatIdx)) return "Only players in the hand vote on the run-out.";
+    if (vote.votes.has(seatIdx)) return "You already answered.";
+    const n = Math.floor(Number(runs));
+    if (!(n >= 1 && n <= vote.maxRuns)) return `Choose between 1 and ${vote.maxRuns} runs.`;
+    vote.votes.set(seatIdx, n);
+    const name = room.seats[seatIdx]?.name || `Seat-${seatIdx}`;
+    emit("activity", room, n > 1 ? `${name} agrees to run it ${RUN_WORDS[n]}.` : `${name} wants to run it once.`);
+    tallyRunItVote(room);
+    return null;
+  }
+
+  /** Turn a hand face up once it is over (e.g. after winning uncontested). @returns {string|null} an error or null */
+  function showCards(room, seatIdx) {
+    if (room.round !== "HAND_OVER") return "You can show your cards once the hand is over.";
+    const p = getPlayer(room, seatIdx);
+    const rec = room.handHistory[room.handHistory.length - 1];
+    const dealt = rec?.handNum === room.handNum ? rec.seats?.find((s) => s.seatIdx === seatIdx) : null;
+    if (!p || !dealt || !(p.hand?.length > 0)) return "You weren't dealt into this hand.";
+    if (p.shown) return "Your cards are already face up.";
+    p.shown = true;
+    dealt.shown = true;
+    emit("activity", room, `${room.seats[seatIdx]?.name || `Seat-${seatIdx}`} shows their cards.`);
+    emit("state", room);
+    return null;
+  }
+
+  // Deal the run-out once every player still in the hand has answered (or anyone said once, or time is up).
+  function tallyRunItVote(room, timedOut = false) {
+    const vote = room.runItVote;
+    if (!vote) return;
+    const answers = getInHandSeats(room).map((seatIdx) => vote.votes.get(seatIdx));
+    if (!timedOut && answers.length > 1 && answers.includes(undefined) && !answers.includes(1)) {
+      emit("state", room);
+      return;
+    }
+    const runs = answers.length > 1 ? Math.min(...answers.map((n) => n ?? 1)) : 1;
+    room.runItVote = null;
+    room.runOut.runs = runs;
+    emit("activity", room, `Running it ${RUN_WORDS[runs]}.`);
+    emit("state", room);
+    scheduleRunOutStreet(room);
+  }
+
+  function getRunItVoteState(room) {
+    const vote = room.runItVote;
+    if (!vote) return null;
+    const seats = getInHandSeats(room).filter((seatIdx) => room.seats[seatIdx]?.type === "player");
+    return {
+      maxRuns: vote.maxRuns,
+      seats,
+      answered: seats.filter((seatIdx) => vote.votes.has(seatIdx)),
+      deadline: vote.deadline,
+      serverNow: now()
+    };
+  }
+
+  // --- Action clock ---
+  // Deadlines are absolute server timestamps; serverNow lets clients correct for clock skew.
+  function getTurnClockState(room) {
+    const clock = room.turnClock;
+    if (!clock) return null;
+    return {
+      seatIdx: clock.seatIdx,
+      // start of the current phase (base time, or time bank once it kicks in)
+      startedAt: clock.bankStartAt ?? clock.startedAt,
+      deadline: clock.deadline,
+      usingTimeBank: clock.bankStartAt !== null,
+      serverNow: now()
+    };
+  }
+
+  function startTurnClock(room, seatIdx) {
+    // Re-requesting the same turn (e.g. after a reconnect) must not reset the deadline.
+    if (room.turnClock && room.turnClock.seatIdx === seatIdx) return;
+    stopTurnClock(room);
+    const turnMs = Math.max(0, Number(room.turnSeconds) || 0) * 1000;
+    if (!turnMs) return;
+    const startedAt = now();
+    room.turnClock = { seatIdx, startedAt, deadline: startedAt + turnMs, bankStartAt: null, timer: null };
+    armTurnClock(room);
+  }
+
+  function armTurnClock(room) {
+    const clock = room.turnClock;
+    clearTimer(clock.timer);
+    clock.timer = setTimer(() => onTurnClockExpired(room, clock), Math.max(0, clock.deadline - now()));
+  }
+
+  function stopTurnClock(room) {
+    const clock = room.turnClock;
+    if (!clock) return;
+    clearTimer(clock.timer);
+    // charge whatever time bank was used
+    if (clock.bankStartAt !== null) {
+      const p = getPlayer(room, clock.seatIdx);
+      if (p) p.timeBankMs = Math.max(0, p.timeBankMs - (now() - clock.bankStartAt));
+    }
+    room.turnClock = null;
+  }
+
+  function onTurnClockExpired(room, clock) {
+    if (room.turnClock !== clock) return;
+    const seatIdx = clock.seatIdx;
+    const seat = room.seats[seatIdx];
+    const p = getPlayer(room, seatIdx);
+    if (room.activeSeatIdx !== seatIdx || !seat || !p || p.isFolded || p.isBankrupt) {
+      // Player left the hand without acting (disconnect / kick): move the action along.
+      stopTurnClock(room);
+      room.pendingActionSeats.delete(seatIdx);
+      if (room.activeSeatIdx === seatIdx) room.activeSeatIdx = chooseNextActor(room, seatIdx);
+      requestTurn(room);
+      return;
+    }
+
+    // Base decision time is up: draw on the time bank before acting for the player.
+    if (clock.bankStartAt === null && p.timeBankMs > 0) {
+      clock.bankStartAt = now();
+      clock.deadline = clock.bankStartAt + p.timeBankMs;
+      armTurnClock(room);
+      emit("activity", room, `${seat.name} is using time bank (${Math.ceil(p.timeBankMs / 1000)}s).`);
+      emit("state", room);
+      emit("turn", room);
+      return;
+    }
+
+    stopTurnClock(room);
+    p.timeouts = (p.timeouts || 0) + 1;
+    const callAmt = Math.max(0, room.currentMaxBet - p.currentBet);
+    emit("activity", room, `${seat.name} timed out.`);
+    if (p.timeouts >= maxTimeouts) {
+      // Sit out until they come back (sit_in); fold now rather than keep checking for an absent player.
+      p.sitOutUntilHand = Number.MAX_SAFE_INTEGER;
+      emit("activity", room, `${seat.name} is sitting out (timed out ${p.timeouts} times).`);
+      handleAction(room, seatIdx, { type: "fold" });
+      return;
+    }
+    handleAction(room, seatIdx, { type: callAmt > 0 ? "fold" : "check" });
+  }
+
+  function placeBet(room, seatIdx, amount) {
+    const p = getPlayer(room, seatIdx);
+    if (!p || p.isFolded || p.isBankrupt) return 0;
+    const amt = Number(amount);
+    if (!Number.isFinite(amt) || amt <= 0) return 0;
+    const real = Math.min(amt, p.chips);
+    p.chips -= real;
+    p.currentBet += real;
+    p.handContribution += real;
+    room.pot += real;
+    return real;
+  }
+
+  // Returns an error message when the action is illegal (nothing changes), otherwise null.
+  function handleAction(room, seatIdx, action) {
+    const p = getPlayer(room, seatIdx);
+    if (!p || p.isFolded || p.isBankrupt) return null;
+    if (room.activeSeatIdx !== seatIdx) return null;
+
+    const bettingRound = getBettingRound(room);
+    const v = validateAction(bettingRound, p, action);
+    if (!v.ok) return v.error;
+
+    // track last valid actor (used as a fallback in rare edge cases)
+    room.lastActorSeatIdx = seatIdx;
+    const name = room.seats[seatIdx].name;
+
+    if (v.type === "fold") {
+      p.isFolded = true;
+      recordHandAction(room, seatIdx, "fold", 0);
+      emit("activity", room, `${name} Folds.`);
+      emit("player_action", room, seatIdx, "FOLD");
+      room.pendingActionSeats.delete(seatIdx);
+    } else if (v.type === "check") {
+      recordHandAction(room, seatIdx, "check", 0);
+      emit("activity", room, `${name} Checks.`);
+      emit("player_action", room, seatIdx, "CHECK");
+      room.pendingActionSeats.delete(seatIdx);
+    } else if (v.type === "call") {
+      recordHandAction(room, seatIdx, "call", placeBet(room, seatIdx, v.amount));
+      emit("activity", room, p.chips === 0 ? `${name} is ALL-IN!` : `${name} Calls.`);
+      emit("player_action", room, seatIdx, p.chips === 0 ? "ALL-IN" : `CALL ${v.amount}`);
+      room.pendingActionSeats.delete(seatIdx);
+    } else {
+      // raise / all-in
+      const put = placeBet(room, seatIdx, v.amount);
+      if (p.currentBet > bettingRound.currentMaxBet) {
+        recordHandAction(room, seatIdx, bettingRound.currentMaxBet > 0 ? "raise" : "bet", put, { to: p.currentBet });
+        const r = resolveRaise(bettingRound, p.currentBet);
+        room.currentMaxBet = r.currentMaxBet;
+        room.lastAggressorSeatIdx = seatIdx;
+        room.minRaise = r.minRaise;
+        if (r.isFullRaise) room.streetBets += 1;
+        // everyone still able to act must respond to the new bet; a short all-in only lets them call or fold
+        const actable = getActableSeats(room);
+        room.pendingActionSeats = new Set(actable);
+        room.pendingActionSeats.delete(seatIdx);
+        if (v.type === "allin") {
+          emit("activity", room, `${name} ALL-IN to ${p.currentBet}.`);
+          emit("player_action", room, seatIdx, `ALL-IN ${p.currentBet}`);
+        } else {
+          emit("activity", room, `${name} Raises to ${p.currentBet}.`);
+          emit("player_action", room, seatIdx, `RAISE ${p.currentBet}`);
+        }
+      } else {
+        recordHandAction(room, seatIdx, "call", put);
+        emit("activity", room, `${name} is ALL-IN!`);
+        emit("player_action", room, seatIdx, "ALL-IN");
+        room.pendingActionSeats.delete(seatIdx);
+      }
+    }
+    // having acted, this player may only raise again once a full raise comes in over this level
+    if (v.type !== "fold") p.raiseReopenAt = room.currentMaxBet + Math.max(room.minRaise, room.bigBlind);
+
+    // the action went through: stop this player's clock (charging any time bank used)
+    stopTurnClock(room);
+
+    // if only one left, end immediately
+    const inHand = getInHandSeats(room);
+    if (inHand.length <= 1) {
+      finishHand(room);
+      return null;
+    }
+
+    // remove ineligible pending and decide next
+    removeIneligibleFromPending(room);
+    if (canAdvanceStreet(room)) {
+      proceedToNextStreet(room);
+      return null;
+    }
+
+    const next = chooseNextActor(room, seatIdx);
+    room.activeSeatIdx = next;
+    requestTurn(room);
+    return null;
+  }
+
+  // Structure the table plays (the variant's unless the room picked one) and its fixed-limit sizes:
+  // a small bet preflop and on the flop, a big bet on the turn and river.
+  function getBettingStructure(room) {
+    const structure = BETTING_STRUCTURES.includes(room.betting) ? room.betting : getGame(room.game).betting;
+    const smallBet = Math.max(room.bigBlind, room.smallBet || 0);
+    const bigBet = room.bigBet > 0 ? Math.max(smallBet, room.bigBet) : smallBet * 2;
+    return { structure, smallBet, bigBet, raiseCap: Math.max(0, room.raiseCap ?? 4) };
+  }
+
+  // Full raise size a street opens with: the big blind, or the fixed bet under fixed limit.
+  function streetMinRaise(room) {
+    const b = getBettingStructure(room);
+    if (b.structure !== "fixed-limit") return room.bigBlind;
+    return room.round === "PRE-FLOP" || room.round === "FLOP" ? b.smallBet : b.bigBet;
+  }
+
+  function getBettingRound(room) {
+    const b = getBettingStructure(room);
+    const round = {
+      currentMaxBet: room.currentMaxBet,
+      minRaise: room.minRaise,
+      bigBlind: room.bigBlind,
+      pot: room.pot,
+      structure: b.structure
+    };
+    if (b.structure === "fixed-limit") Object.assign(round, { betSize: streetMinRaise(room), bets: room.streetBets, raiseCap: b.raiseCap });
+    return round;
+  }
+
+  // Call / raise limits for a seat (sent to the player on turn so the raise control stays legal).
+  function getLegalActionsFor(room, seatIdx) {
+    const p = getPlayer(room, seatIdx);
+    return p ? getLegalActions(getBettingRound(room), p) : null;
+  }
+
+  // What an AI seat knows when it acts (see lib/aiStrategy.js): its own cards, the board and the betting.
+  function buildAiView(room, seatIdx) {
+    const p = getPlayer(room, seatIdx);
+    const inHand = getInHandSeats(room);
+    const order = orderByPosition(room, inHand);
+    const others = inHand.filter((i) => i !== seatIdx);
+    const biggest = Math.max(0, ...others.map((i) => getPlayer(room, i).chips + getPlayer(room, i).currentBet));
+    const raisedPreflop = (room.currentHand?.actions || []).some(
+      (a) => a.street === "PRE-FLOP" && a.seatIdx !== seatIdx && (a.type === "raise" || a.type === "bet")
+    );
+    return {
+      game: room.game,
+      hand: [...p.hand],
+      board: [...room.communityCards],
+      pot: room.pot,
+      toCall: Math.max(0, Math.min(room.currentMaxBet - p.currentBet, p.chips)),
+      currentMaxBet: room.currentMaxBet,
+      bigBlind: room.bigBlind,
+      stack: p.chips,
+      currentBet: p.currentBet,
+      opponents: others.length,
+      position: order.length > 1 ? order.indexOf(seatIdx) / (order.length - 1) : 1,
+      effectiveStack: Math.min(p.chips + p.currentBet, biggest),
+      raisedPreflop,
+      legal: getLegalActionsFor(room, seatIdx)
+    };
+  }
+
+  return Object.assign(engine, {
+    getPlayer,
+    isSeatEligible,
+    getInHandSeats,
+    getActableSeats,
+    nextSeatClockwise,
+    ensurePlayersMap,
+    removeIneligibleFromPending,
+    chooseNextActor,
+    canAdvanceStreet,
+    startHand,
+    proceedToNextStreet,
+    finishHand,
+    requestTurn,
+    getTurnClockState,
+    stopTurnClock,
+    voteRunIt,
+    getRunItVoteState,
+    showCards,
+    handleAction,
+    getBettingStructure,
+    getBettingRound,
+    getLegalActionsFor,
+    buildAiView
+  });
+}
@@ -0,0 +1,74 @@
+// --- All-in equity (pure; no room or socket access) ---
+// How often each of several known hands wins or ties on the rest of the board. Every possible
+// run-out is dealt when that fits the work budget (from the flop on, as a rule); otherwise a Monte
+// Carlo sample of as many run-outs as the budget allows. The budget counts hand scorings, so a variant
+// whose evaluation tries many card combinations (Omaha) gets fewer run-outs for the same time.
+
+import { compareHands } from "./handEval.js";
+import { gameDeck, getGame } from "./games.js";
+
+function countBoards(n, k) {
+  let c = 1;
+  for (let i = 0; i < k; i++) c = (c * (n - i)) / (i + 1);
+  return Math.round(c);
+}
+
+/**
+ * @param {Array<Array<{r:string, s:string}>>} hands hole cards of each player still in the hand
+ * @param {Array<{r:string, s:string}>} board community cards so far
+ * @param {{game?:string, budget?:number, random?:() => number}} [opts]
+ *   budget: most hand scorings to spend (per player per run-out: the variant's evaluationCost)
+ * @returns {{exact:boolean, runouts:number, players:Array<{win:number, tie:number, equity:number}>}}
+ *   win / tie: share of run-outs won alone / tied; equity: share of the pot (ties split), all 0..1
+ */
+export function calculateEquity(hands, board, { game, budget = 3000, random = Math.random } = {}) {
+  const { id, evaluate, evaluationCost } = getGame(game);
+  const used = new Set([...hands.flat(), ...board].map((c) => `${c.r}${c.s}`));
+  const deck = gameDeck(id).filter((c) => !used.has(`${c.r}${c.s}`));
+  const need = Math.max(0, 5 - board.length);
+  const won = hands.map(() => 0);
+  const tied = hands.map(() => 0);
+  const share = hands.map(() => 0);
+
+  const score = (runout) => {
+    const made = hands.map((h) => evaluate(h, runout));
+    let best = made[0];
+    for (const h of made) if (compareHands(h, best) > 0) best = h;
+    const winners = made.map((h, i) => (compareHands(h, best) === 0 ? i : -1)).filter((i) => i >= 0);
+    for (const i of winners) {
+      if (winners.length === 1) won[i] += 1;
+      else tied[i] += 1;
+      share[i] += 1 / winners.length;
+    }
+  };
+
+  const trials = Math.max(1, Math.floor(budget / (Math.max(1, hands.length) * evaluationCost)));
+  const exact = countBoards(deck.length, need) <= trials;
+  let runouts = 0;
+  if (exact) {
+    const pick = (start, cards) => {
+      if (cards.length === need) {
+        score([...board, ...cards]);
+        runouts += 1;
+        return;
+      }
+      for (let i = start; i < deck.length; i++) pick(i + 1, [...cards, deck[i]]);
+    };
+    pick(0, []);
+  } else {
+    const cards = deck.slice();
+    for (; runouts < trials; runouts++) {
+      // partial shuffle: only the cards this run-out needs
+      for (let n = 0; n < need; n++) {
+        const j = n + Math.floor(random() * (cards.length - n));
+        [cards[n], cards[j]] = [cards[j], cards[n]];
+      }
+      score([...board, ...cards.slice(0, need)]);
+    }
+  }
+  return {
+    exact,
+    runouts,
+    players: hands.map((_h, i) => ({ win: won[i] / runouts, tie: tied[i] / runouts, equity: share[i] / runouts }))
+  };
+}
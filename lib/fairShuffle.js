@@ -0,0 +1,104 @@
+// --- Provably fair shuffling (commit–reveal; no room or socket access) ---
+// Before a hand the server picks a random server seed and publishes only its SHA-256 hash. Players
+// may add client seeds until the deal. The deck is then shuffled from both with a deterministic
+// CSPRNG. Once the server seed is revealed, anyone can check that it matches the published hash and
+// that it reproduces the cards that were dealt. (server.js reveals it when the match is over, not after
+// each hand; README "可验证公平" says why.)
+//
+// Shuffle: start from the unshuffled deck (suits hearts, diamonds, clubs, spades; ranks 2..A within
+// each suit; short deck leaves out the twos to fives), then Fisher–Yates from the last card down, drawing j in [0, i] from the byte stream
+//   HMAC-SHA256(key = serverSeed, message = `${clientSeeds}:${handNum}:${counter}`), counter = 0, 1, ...
+// read as big-endian uint32s with rejection sampling (no modulo bias). clientSeeds is
+// "seatIdx=seed" for each client seed, by seat, joined with ",". Cards are dealt from the end of the deck.
+
+import { createHash, createHmac, randomBytes } from "crypto";
+import { RANKS, SUITS } from "./handEval.js";
+
+export const CLIENT_SEED_MAX_LEN = 64;
+
+export function createServerSeed() {
+  return randomBytes(32).toString("hex");
+}
+
+export function hashServerSeed(serverSeed) {
+  return createHash("sha256").update(String(serverSeed)).digest("hex");
+}
+
+/** A client seed as accepted from players: letters, digits, "-" and "_" (so the joined form stays unambiguous), capped; "" when unusable. */
+export function cleanClientSeed(seed) {
+  return String(seed ?? "").replace(/[^A-Za-z0-9_-]/g, "").slice(0, CLIENT_SEED_MAX_LEN);
+}
+
+/**
+ * Canonical text of the client seeds that goes into the shuffle.
+ * @param {Array<{seatIdx:number, seed:string}>} clientSeeds
+ */
+export function clientSeedString(clientSeeds = []) {
+  return [...clientSeeds]
+    .sort((a, b) => a.seatIdx - b.seatIdx)
+    .map((c) => `${c.seatIdx}=${c.seed}`)
+    .join(",");
+}
+
+// Uniform integers from the HMAC stream.
+function createIntStream(serverSeed, message) {
+  let counter = 0;
+  let block = null;
+  let offset = 0;
+  const nextUint32 = () => {
+    if (!block || offset >= block.length) {
+      block = createHmac("sha256", String(serverSeed)).update(`${message}:${counter}`).digest();
+      counter += 1;
+      offset = 0;
+    }
+    const v = block.readUInt32BE(offset);
+    offset += 4;
+    return v;
+  };
+  return (n) => {
+    const limit = Math.floor(0x100000000 / n) * n;
+    let v = nextUint32();
+    while (v >= limit) v = nextUint32();
+    return v % n;
+  };
+}
+
+export function unshuffledDeck() {
+  const deck = [];
+  for (const s of SUITS) for (const r of RANKS) deck.push({ s, r, v: RANKS.indexOf(r) });
+  return deck;
+}
+
+/**
+ * Shuffle in place (and return) a deck from the seeds, as described above.
+ * @param {Array<any>} deck
+ * @param {{serverSeed:string, clientSeeds?:Array<{seatIdx:number, seed:string}>, handNum:number}} seeds
+ */
+export function shuffleDeck(deck, { serverSeed, clientSeeds = [], handNum }) {
+  const randomInt = createIntStream(serverSeed, `${clientSeedString(clientSeeds)}:${handNum}`);
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+}
+
+/** Short card text, e.g. "Ah", "Td". */
+export function cardCode(c) {
+  return `${c.r === "10" ? "T" : c.r}${String(c.s).charAt(0)}`;
+}
+
+/**
+ * Recompute a hand's deck from revealed seeds.
+ * @param {{serverSeed:string, clientSeeds?:Array<{seatIdx:number, seed:string}>, handNum:number, deck?:Array<any>}} seeds
+ *   deck: the variant's unshuffled deck (lib/games.js gameDeck); the full 52 cards by default
+ * @returns {{serverSeedHash:string, clientSeeds:string, dealOrder:string[]}} dealOrder = cards in the order they leave the deck
+ */
+export function verifyShuffle({ serverSeed, clientSeeds = [], handNum, deck: unshuffled = unshuffledDeck() }) {
+  const deck = shuffleDeck([...unshuffled], { serverSeed, clientSeeds, handNum });
+  return {
+    serverSeedHash: hashServerSeed(serverSeed),
+    clientSeeds: clientSeedString(clientSeeds),
+    dealOrder: deck.reverse().map(cardCode)
+  };
+}
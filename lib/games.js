@@ -0,0 +1,72 @@
+// --- Game variants (pure; no room or socket access) ---
+// A variant decides how many hole cards each player gets, how a showdown hand is made and the
+// default betting structure (a room may pick another). Tables name theirs in room.game; an unknown
+// id plays as Hold'em.
+//
+// game: { id, label, historyName, holeCards, betting, lowestRank, evaluate(hole, board), evaluationCost }
+//   historyName: game name in PokerStars hand histories, before the structure ("Omaha" + " Pot Limit");
+//   betting: default structure, "no-limit" | "pot-limit" | "fixed-limit" (lib/betting.js);
+//   lowestRank: smallest card value in the deck (RANKS index; 0 = full 52 cards);
+//   evaluate: best hand for a player (lib/handEval.js result shape), null while it can't be made yet;
+//   evaluationCost: hand scorings one evaluate() call takes on a full board (budgets work by it, lib/equity.js)
+
+import { evaluateHand, evaluateOmahaHand, RANKS, SHORT_DECK_LOWEST, SUITS } from "./handEval.js";
+
+const GAMES = {
+  holdem: {
+    label: "No-Limit Hold'em",
+    historyName: "Hold'em",
+    holeCards: 2,
+    betting: "no-limit",
+    lowestRank: 0,
+    evaluate: (hole, board) => evaluateHand([...hole, ...board]),
+    evaluationCost: 1 // all seven cards in one pass
+  },
+  shortdeck: {
+    label: "Short Deck Hold'em (6+)",
+    historyName: "6+ Hold'em",
+    holeCards: 2,
+    betting: "no-limit",
+    lowestRank: SHORT_DECK_LOWEST, // 36 cards, sixes up
+    evaluate: (hole, board) => evaluateHand([...hole, ...board], { shortDeck: true }),
+    evaluationCost: 1
+  },
+  omaha: {
+    label: "Pot-Limit Omaha",
+    historyName: "Omaha",
+    holeCards: 4,
+    betting: "pot-limit",
+    lowestRank: 0,
+    evaluate: evaluateOmahaHand, // exactly two hole cards and three from the board
+    evaluationCost: 6 * 10 // every pair of the four hole cards with every three of the five board cards
+  }
+};
+
+export const DEFAULT_GAME = "holdem";
+
+/** The variant for an id, or Hold'em. */
+export function getGame(id) {
+  const key = Object.hasOwn(GAMES, id) ? id : DEFAULT_GAME;
+  return { id: key, ...GAMES[key] };
+}
+
+const HISTORY_STRUCTURES = { "no-limit": "No Limit", "pot-limit": "Pot Limit", "fixed-limit": "Limit" };
+
+/** Game line for hand histories, e.g. "Hold'em Limit"; the variant's own structure by default. */
+export function historyGameName(id, structure) {
+  const game = getGame(id);
+  return `${game.historyName} ${HISTORY_STRUCTURES[structure] || HISTORY_STRUCTURES[game.betting]}`;
+}
+
+/** The variant's unshuffled deck: suits hearts, diamonds, clubs, spades; ranks low to high within each suit. */
+export function gameDeck(id) {
+  const { lowestRank } = getGame(id);
+  const deck = [];
+  for (const s of SUITS) for (const r of RANKS.slice(lowestRank)) deck.push({ s, r, v: RANKS.indexOf(r) });
+  return deck;
+}
+
+/** Selectable variants for the lobby: [{ id, label, holeCards, betting }] */
+export function listGames() {
+  return Object.entries(GAMES).map(([id, g]) => ({ id, label: g.label, holeCards: g.holeCards, betting: g.betting }));
+}
@@ -0,0 +1,236 @@
+// --- Hand evaluation (pure; shared by server.js and the offline engine in index.html) ---
+// Cards are { s, r, v } with v = index into RANKS (0 = "2" ... 12 = "A").
+// Scores 5, 6 or 7 cards in one pass using per-suit rank bit masks; no combination enumeration.
+// Short-deck (6+) rules are an option: the ace also plays low in A-6-7-8-9 and a flush beats a full house.
+
+export const RANKS = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
+export const SUITS = ["hearts", "diamonds", "clubs", "spades"];
+
+export const HAND_CATEGORIES = [
+  null,
+  "High Card",
+  "One Pair",
+  "Two Pair",
+  "Three of a Kind",
+  "Straight",
+  "Flush",
+  "Full House",
+  "Four of a Kind",
+  "Straight Flush",
+  "Royal Flush"
+];
+
+const ACE = 12;
+export const SHORT_DECK_LOWEST = 4; // "6": short deck plays without the twos to fives
+
+// STRAIGHT_HIGH[mask] = top rank of the best straight in a 13-bit rank mask, or -1.
+// The wheel is the ace with the four lowest ranks in the deck: A-2-3-4-5, or A-6-7-8-9 in short deck.
+function straightTable(lowest) {
+  const wheel = (1 << ACE) | (0b1111 << lowest);
+  const table = new Int8Array(1 << 13).fill(-1);
+  for (let mask = 0; mask < 1 << 13; mask++) {
+    for (let high = ACE; high >= lowest + 4; high--) {
+      const run = 0b11111 << (high - 4);
+      if ((mask & run) === run) {
+        table[mask] = high;
+        break;
+      }
+    }
+    if (table[mask] < 0 && (mask & wheel) === wheel) table[mask] = lowest + 3;
+  }
+  return table;
+}
+const STRAIGHT_HIGH = straightTable(0);
+const SHORT_STRAIGHT_HIGH = straightTable(SHORT_DECK_LOWEST);
+
+const PLURAL = ["Twos", "Threes", "Fours", "Fives", "Sixes", "Sevens", "Eights", "Nines", "Tens", "Jacks", "Queens", "Kings", "Aces"];
+const SINGLE = ["Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten", "Jack", "Queen", "King", "Ace"];
+
+// Rank list a straight with this top card uses, high to low (wheel ends with the ace).
+function straightRanks(high, lowest) {
+  return high === lowest + 3 ? [high, high - 1, high - 2, high - 3, ACE] : [high, high - 1, high - 2, high - 3, high - 4];
+}
+
+// Base-13 packing so one integer orders every hand: category first, then tie-break ranks.
+// In short deck a flush (6) outranks a full house (7), so the two trade places in the score.
+function packScore(rank, value, shortDeck) {
+  let score = shortDeck && (rank === 6 || rank === 7) ? 13 - rank : rank;
+  for (let i = 0; i < 5; i++) score = score * 13 + (value[i] ?? 0);
+  return score;
+}
+
+function describe(rank, value) {
+  switch (rank) {
+    case 10: return "Royal Flush";
+    case 9: return `Straight Flush, ${SINGLE[value[0]]} high`;
+    case 8: return `Four of a Kind, ${PLURAL[value[0]]}`;
+    case 7: return `Full House, ${PLURAL[value[0]]} full of ${PLURAL[value[1]]}`;
+    case 6: return `Flush, ${SINGLE[value[0]]} high`;
+    case 5: return `Straight, ${SINGLE[value[0]]} high`;
+    case 4: return `Three of a Kind, ${PLURAL[value[0]]}`;
+    case 3: return `Two Pair, ${PLURAL[value[0]]} and ${PLURAL[value[1]]}`;
+    case 2: return `One Pair, ${PLURAL[value[0]]}`;
+    default: return `High Card, ${SINGLE[value[0]]}`;
+  }
+}
+
+/**
+ * Best five-card poker hand from 5 to 7 cards.
+ * @param {Array<{s:string, r:string, v:number}>} cards
+ * @param {{shortDeck?:boolean}} [options] shortDeck: 6+ rules (A-6-7-8-9 straight, flush over full house)
+ * @returns {{rank:number, value:number[], score:number, desc:string, name:string, cards:Array}|null}
+ *   rank: 1 (High Card) .. 10 (Royal Flush); value: tie-break ranks, high to low;
+ *   desc: category name (as used in logs); name: e.g. "Full House, Kings full of Sevens";
+ *   cards: the five cards that make the hand, in display order.
+ */
+export function evaluateHand(cards, options = {}) {
+  if (!Array.isArray(cards) || cards.length < 5) return null;
+  const shortDeck = !!options.shortDeck;
+  const straights = shortDeck ? SHORT_STRAIGHT_HIGH : STRAIGHT_HIGH;
+  const lowest = shortDeck ? SHORT_DECK_LOWEST : 0;
+
+  const byRank = Array.from({ length: 13 }, () => []);
+  const suitMask = new Map();
+  const bySuit = new Map();
+  let rankMask = 0;
+  for (const c of cards) {
+    byRank[c.v].push(c);
+    rankMask |= 1 << c.v;
+    suitMask.set(c.s, (suitMask.get(c.s) || 0) | (1 << c.v));
+    if (!bySuit.has(c.s)) bySuit.set(c.s, []);
+    bySuit.get(c.s).push(c);
+  }
+
+  let rank;
+  let value;
+  let used;
+
+  // Flush / straight flush: with at most 7 cards only one suit can hold five.
+  let flushSuit = null;
+  for (const [s, list] of bySuit) if (list.length >= 5) flushSuit = s;
+  if (flushSuit !== null) {
+    const mask = suitMask.get(flushSuit);
+    const sfHigh = straights[mask];
+    const suited = bySuit.get(flushSuit);
+    if (sfHigh >= 0) {
+      rank = sfHigh === ACE ? 10 : 9;
+      value = [sfHigh];
+      used = straightRanks(sfHigh, lowest).map((v) => suited.find((c) => c.v === v));
+    }
+  }
+
+  if (!rank) {
+    // Group ranks by count, high ranks first within each group.
+    const quads = [];
+    const trips = [];
+    const pairs = [];
+    const singles = [];
+    for (let v = ACE; v >= 0; v--) {
+      const n = byRank[v].length;
+      if (n === 4) quads.push(v);
+      else if (n === 3) trips.push(v);
+      else if (n === 2) pairs.push(v);
+      else if (n === 1) singles.push(v);
+    }
+    // Highest remaining rank not already used, for kickers.
+    const kickers = (exclude, count) => {
+      const out = [];
+      for (let v = ACE; v >= 0 && out.length < count; v--) {
+        if (byRank[v].length && !exclude.includes(v)) out.push(v);
+      }
+      return out;
+    };
+    const take = (v, n) => byRank[v].slice(0, n);
+
+    const straightHigh = straights[rankMask];
+    const flush = () => {
+      const top = [...bySuit.get(flushSuit)].sort((a, b) => b.v - a.v).slice(0, 5);
+      rank = 6;
+      value = top.map((c) => c.v);
+      used = top;
+    };
+    if (quads.length) {
+      const [k] = kickers([quads[0]], 1);
+      rank = 8;
+      value = [quads[0], k];
+      used = [...take(quads[0], 4), ...take(k, 1)];
+    } else if (shortDeck && flushSuit !== null) {
+      flush();
+    } else if (trips.length && (trips.length > 1 || pairs.length)) {
+      // second trips can fill the pair (e.g. 777-333-x)
+      const pairRank = Math.max(trips[1] ?? -1, pairs[0] ?? -1);
+      rank = 7;
+      value = [trips[0], pairRank];
+      used = [...take(trips[0], 3), ...take(pairRank, 2)];
+    } else if (flushSuit !== null) {
+      flush();
+    } else if (straightHigh >= 0) {
+      rank = 5;
+      value = [straightHigh];
+      used = straightRanks(straightHigh, lowest).map((v) => byRank[v][0]);
+    } else if (trips.length) {
+      const ks = kickers([trips[0]], 2);
+      rank = 4;
+      value = [trips[0], ...ks];
+      used = [...take(trips[0], 3), ...ks.map((v) => byRank[v][0])];
+    } else if (pairs.length >= 2) {
+      const [k] = kickers([pairs[0], pairs[1]], 1);
+      rank = 3;
+      value = [pairs[0], pairs[1], k];
+      used = [...take(pairs[0], 2), ...take(pairs[1], 2), byRank[k][0]];
+    } else if (pairs.length) {
+      const ks = kickers([pairs[0]], 3);
+      rank = 2;
+      value = [pairs[0], ...ks];
+      used = [...take(pairs[0], 2), ...ks.map((v) => byRank[v][0])];
+    } else {
+      rank = 1;
+      value = singles.slice(0, 5);
+      used = value.map((v) => byRank[v][0]);
+    }
+  }
+
+  return {
+    rank,
+    value,
+    score: packScore(rank, value, shortDeck),
+    desc: HAND_CATEGORIES[rank],
+    name: describe(rank, value),
+    cards: used
+  };
+}
+
+/**
+ * Order two evaluated hands: > 0 if h1 wins, < 0 if h2 wins, 0 for a split.
+ * A missing hand (no showdown) loses to any real one.
+ */
+export function compareHands(h1, h2) {
+  if (!h1 && !h2) return 0;
+  if (!h1) return -1;
+  if (!h2) return 1;
+  return h1.score - h2.score;
+}
+
+/**
+ * Best Omaha hand: exactly two of the hole cards with exactly three board cards.
+ * @param {Array<{s:string, r:string, v:number}>} hole four (or more) hole cards
+ * @param {Array<{s:string, r:string, v:number}>} board three to five community cards
+ * @returns same shape as evaluateHand(), or null before the flop
+ */
+export function evaluateOmahaHand(hole, board) {
+  if (!Array.isArray(hole) || !Array.isArray(board) || hole.length < 2 || board.length < 3) return null;
+  let best = null;
+  for (let a = 0; a < hole.length; a++) {
+    for (let b = a + 1; b < hole.length; b++) {
+      for (let x = 0; x < board.length; x++) {
+        for (let y = x + 1; y < board.length; y++) {
+          for (let z = y + 1; z < board.length; z++) {
+            const h = evaluateHand([hole[a], hole[b], board[x], board[y], board[z]]);
+            if (!best || h.score > best.score) best = h;
+          }
+        }
+      }
+    }
+  }
+  return best;
+}
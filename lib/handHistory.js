@@ -0,0 +1,261 @@
+// --- Hand history records + PokerStars-style text export (pure; no room or socket access) ---
+// One record per hand, filled in by server.js as the hand plays out:
+//   seats / stacks at the start, blinds, hole cards, every action with its street and amounts,
+//   the board (every board when an all-in run-out was dealt more than once), uncalled bet, pots and showdown.
+// Every seat's hole cards are kept (shuffle verification needs them); seats[].shown marks the ones that
+// were turned face up, and only those leave the server (publicHandRecord, formatPokerStars).
+
+const STREETS = ["PRE-FLOP", "FLOP", "TURN", "RIVER"];
+// forced bets listed before the hole cards
+const POSTS = new Set(["ante", "small_blind", "big_blind", "missed_blinds", "straddle"]);
+
+/**
+ * @param {{roomId:string, handNum:number, game?:string, smallBlind:number, bigBlind:number, buttonSeat:number,
+ *          seats:Array<{seatIdx:number, name:string, stack:number}>}} info
+ */
+export function createHandRecord(info) {
+  const startedAt = Date.now();
+  return {
+    // numeric id so tracking tools accept it; unique per room + hand
+    id: `${startedAt}${String(info.handNum).padStart(4, "0")}`,
+    roomId: info.roomId,
+    handNum: info.handNum,
+    startedAt,
+    endedAt: null,
+    game: info.game || "Hold'em No Limit",
+    smallBlind: info.smallBlind,
+    bigBlind: info.bigBlind,
+    buttonSeat: info.buttonSeat,
+    sbSeat: null,
+    bbSeat: null,
+    straddleSeat: null,
+    seats: info.seats.map((s) => ({ seatIdx: s.seatIdx, name: s.name, stack: s.stack, holeCards: [], shown: false })),
+    actions: [], // [{street, seatIdx, name, type, amount, to, allIn}]
+    board: [],
+    boards: [], // [[...], [...]] when the run-out was dealt more than once; board is the first
+    uncalled: null,
+    showdown: [], // [{seatIdx, name, cards, handName, handNames?}] in showing order (handNames: one per board)
+    mucked: [], // [{seatIdx, name}] gave up their hand at showdown
+    pots: [], // [{potIdx, amount, winners, desc, runs?: [{run, amount, winners, desc}]}]
+    winners: [],
+    desc: ""
+  };
+}
+
+/**
+ * Append an action. type: "ante" | "small_blind" | "big_blind" | "missed_blinds" | "straddle" | "fold" | "check" | "call" | "bet" | "raise".
+ * amount = chips put in by this action; to = the player's total bet for the street after a bet/raise.
+ */
+export function recordAction(record, entry) {
+  record.actions.push({
+    street: entry.street,
+    seatIdx: entry.seatIdx,
+    name: entry.name,
+    type: entry.type,
+    amount: entry.amount || 0,
+    to: entry.to ?? null,
+    allIn: !!entry.allIn
+  });
+}
+
+/** The short form kept for match summaries / hand lists. */
+export function summarizeHand(record) {
+  return {
+    handNum: record.handNum,
+    id: record.id,
+    startedAt: record.startedAt,
+    winners: record.winners,
+    desc: record.desc,
+    pots: record.pots,
+    uncalled: record.uncalled
+  };
+}
+
+/**
+ * The record as anyone may see it: hole cards only for seats that showed them (and heroSeat's own).
+ * @param {{heroSeat?:number}} [opts]
+ */
+export function publicHandRecord(record, opts = {}) {
+  return {
+    ...record,
+    seats: record.seats.map((s) => (s.shown || s.seatIdx === opts.heroSeat ? s : { ...s, holeCards: [] }))
+  };
+}
+
+function psCard(c) {
+  const r = c.r === "10" ? "T" : c.r;
+  return `${r}${String(c.s || "").charAt(0).toLowerCase()}`;
+}
+
+function psCards(cards) {
+  return `[${cards.map(psCard).join(" ")}]`;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatDate(ms, timeZone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23"
+  });
+  for (const p of fmt.formatToParts(new Date(ms))) parts[p.type] = p.value;
+  return `${parts.year}/${parts.month}/${parts.day} ${Number(parts.hour)}:${pad2(parts.minute)}:${pad2(parts.second)}`;
+}
+
+function actionLine(a) {
+  const allIn = a.allIn ? " and is all-in" : "";
+  switch (a.type) {
+    case "ante": return `${a.name}: posts the ante $${a.amount}${allIn}`;
+    case "small_blind": return `${a.name}: posts small blind $${a.amount}${allIn}`;
+    case "big_blind": return `${a.name}: posts big blind $${a.amount}${allIn}`;
+    case "missed_blinds": return `${a.name}: posts small & big blinds $${a.amount}${allIn}`;
+    case "straddle": return `${a.name}: posts straddle $${a.amount}${allIn}`;
+    case "fold": return `${a.name}: folds`;
+    case "check": return `${a.name}: checks`;
+    case "call": return `${a.name}: calls $${a.amount}${allIn}`;
+    case "bet": return `${a.name}: bets $${a.amount}${allIn}`;
+    case "raise": return `${a.name}: raises $${a.raiseBy} to $${a.to}${allIn}`;
+    default: return `${a.name}: ${a.type}`;
+  }
+}
+
+const RUN_NAMES = ["FIRST", "SECOND", "THIRD"];
+const RUN_TIMES = { 2: "twice", 3: "three times" };
+
+function potLabel(pot, potCount) {
+  if (potCount === 1) return "pot";
+  return pot.potIdx === 0 ? "main pot" : `side pot-${pot.potIdx}`;
+}
+
+/**
+ * PokerStars-compatible text for one hand (the format most trackers import).
+ * @param {object} record from createHandRecord
+ * @param {{heroSeat?:number}} [opts] heroSeat: only this seat's hole cards get a "Dealt to" line;
+ *   without it every hand that was shown is listed. Mucked and unshown hands never appear.
+ */
+export function formatPokerStars(record, opts = {}) {
+  const lines = [];
+  const seatNo = (idx) => idx + 1;
+  lines.push(
+    `PokerStars Hand #${record.id}:  ${record.game} ($${record.smallBlind}/$${record.bigBlind}) - ` +
+      `${formatDate(record.startedAt, "UTC")} UTC [${formatDate(record.startedAt, "America/New_York")} ET]`
+  );
+  lines.push(`Table '${record.roomId}' 10-max Seat #${seatNo(record.buttonSeat)} is the button`);
+  for (const s of record.seats) lines.push(`Seat ${seatNo(s.seatIdx)}: ${s.name} ($${s.stack} in chips)`);
+
+  // raise increments are over the street's previous high bet
+  let street = "PRE-FLOP";
+  let high = 0;
+  const blinds = record.actions.filter((a) => POSTS.has(a.type));
+  for (const a of blinds) {
+    lines.push(actionLine(a));
+    if (a.type === "small_blind" || a.type === "big_blind" || a.type === "straddle") high = Math.max(high, a.amount);
+  }
+  // a missed-blinds post includes a live big blind
+  if (blinds.some((a) => a.type === "missed_blinds")) high = Math.max(high, record.bigBlind);
+
+  lines.push("*** HOLE CARDS ***");
+  const hero = Number.isInteger(opts.heroSeat) ? opts.heroSeat : null;
+  for (const s of record.seats) {
+    if (!s.holeCards.length) continue;
+    if (hero !== null ? s.seatIdx !== hero : !s.shown) continue;
+    lines.push(`Dealt to ${s.name} ${psCards(s.holeCards)}`);
+  }
+
+  const board = record.board || [];
+  // run it twice / three times: the streets dealt after the all-in get one header per board
+  const runBoards = (record.boards || []).length > 1 ? record.boards : null;
+  const streetHeader = (st, b = board, run = "") => {
+    if (st === "FLOP") return `*** ${run}FLOP *** ${psCards(b.slice(0, 3))}`;
+    if (st === "TURN") return `*** ${run}TURN *** ${psCards(b.slice(0, 3))} ${psCards(b.slice(3, 4))}`;
+    return `*** ${run}RIVER *** ${psCards(b.slice(0, 4))} ${psCards(b.slice(4, 5))}`;
+  };
+  const boardStreets = ["FLOP", "TURN", "RIVER"].filter((_st, i) => board.length >= [3, 4, 5][i]);
+  const foldedOn = new Map();
+  for (const a of record.actions) {
+    if (POSTS.has(a.type)) continue;
+    while (a.street !== street && STREETS.indexOf(a.street) > STREETS.indexOf(street)) {
+      street = STREETS[STREETS.indexOf(street) + 1];
+      high = 0;
+      if (boardStreets.includes(street)) lines.push(streetHeader(street));
+    }
+    if (a.type === "fold") foldedOn.set(a.seatIdx, street);
+    lines.push(actionLine(a.type === "raise" ? { ...a, raiseBy: a.to - high } : a));
+    if (a.to !== null) high = Math.max(high, a.to);
+  }
+  if (record.uncalled) lines.push(`Uncalled bet ($${record.uncalled.amount}) returned to ${record.uncalled.name}`);
+  // streets dealt without further betting (all-in run-outs)
+  const runOutStreets = boardStreets.filter((st) => STREETS.indexOf(st) > STREETS.indexOf(street));
+  if (runBoards) {
+    runBoards.forEach((b, run) => {
+      for (const st of runOutStreets) lines.push(streetHeader(st, b, `${RUN_NAMES[run]} `));
+    });
+  } else {
+    for (const st of runOutStreets) lines.push(streetHeader(st));
+  }
+
+  const pots = record.pots || [];
+  const collected = (pot, winners = pot.winners) => winners.map((w) => `${w.name} collected $${w.amount} from ${potLabel(pot, pots.length)}`);
+  const mucked = record.mucked || [];
+  const muckLines = () => mucked.map((m) => `${m.name}: mucks hand`);
+  if (record.showdown.length && runBoards) {
+    runBoards.forEach((_b, run) => {
+      lines.push(`*** ${RUN_NAMES[run]} SHOW DOWN ***`);
+      for (const sd of record.showdown) lines.push(`${sd.name}: shows ${psCards(sd.cards)} (${sd.handNames?.[run] ?? sd.handName})`);
+      lines.push(...muckLines());
+      for (const pot of pots) lines.push(...collected(pot, pot.runs?.[run]?.winners || []));
+    });
+  } else if (record.showdown.length) {
+    lines.push("*** SHOW DOWN ***");
+    for (const sd of record.showdown) lines.push(`${sd.name}: shows ${psCards(sd.cards)} (${sd.handName})`);
+    lines.push(...muckLines());
+    for (const pot of pots) lines.push(...collected(pot));
+  } else {
+    for (const pot of pots) lines.push(...collected(pot));
+    for (const w of record.winners) if (!record.seats.find((s) => s.seatIdx === w.seatIdx)?.shown) lines.push(`${w.name}: doesn't show hand`);
+  }
+  // hands turned face up after the hand was over
+  for (const s of record.seats) {
+    if (s.shown && s.holeCards.length && !record.showdown.some((sd) => sd.seatIdx === s.seatIdx)) lines.push(`${s.name}: shows ${psCards(s.holeCards)}`);
+  }
+
+  lines.push("*** SUMMARY ***");
+  const total = pots.reduce((sum, p) => sum + p.amount, 0);
+  const potParts = pots.length > 1 ? ` Main pot $${pots[0].amount}.${pots.slice(1).map((p) => ` Side pot-${p.potIdx} $${p.amount}.`).join("")}` : "";
+  lines.push(`Total pot $${total}${potParts} | Rake $0`);
+  if (runBoards) {
+    lines.push(`Hand was run ${RUN_TIMES[runBoards.length]}`);
+    runBoards.forEach((b, run) => lines.push(`${RUN_NAMES[run]} Board ${psCards(b)}`));
+  } else if (board.length) {
+    lines.push(`Board ${psCards(board)}`);
+  }
+
+  const won = new Map();
+  for (const pot of pots) for (const w of pot.winners) won.set(w.seatIdx, (won.get(w.seatIdx) || 0) + w.amount);
+  const streetName = { "PRE-FLOP": "before Flop", FLOP: "on the Flop", TURN: "on the Turn", RIVER: "on the River" };
+  for (const s of record.seats) {
+    let pos = "";
+    if (s.seatIdx === record.buttonSeat) pos += " (button)";
+    if (s.seatIdx === record.sbSeat) pos += " (small blind)";
+    if (s.seatIdx === record.bbSeat) pos += " (big blind)";
+    const sd = record.showdown.find((x) => x.seatIdx === s.seatIdx);
+    let what;
+    if (foldedOn.has(s.seatIdx)) what = `folded ${streetName[foldedOn.get(s.seatIdx)]}`;
+    else if (sd && won.has(s.seatIdx)) what = `showed ${psCards(sd.cards)} and won ($${won.get(s.seatIdx)}) with ${sd.handName}`;
+    else if (sd) what = `showed ${psCards(sd.cards)} and lost with ${sd.handName}`;
+    else if (mucked.some((m) => m.seatIdx === s.seatIdx)) what = "mucked";
+    else if (won.has(s.seatIdx)) what = `collected ($${won.get(s.seatIdx)})`;
+    else what = "didn't bet";
+    lines.push(`Seat ${seatNo(s.seatIdx)}: ${s.name}${pos} ${what}`);
+  }
+  return lines.join("\n");
+}
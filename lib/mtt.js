@@ -0,0 +1,66 @@
+// --- Multi-table tournament planning (pure; no room or socket access) ---
+// The tables themselves are ordinary rooms owned by server.js; this only decides where entrants
+// sit at the start, which tables break as players bust, and who moves where to keep tables even.
+
+function shuffle(list, random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Random seating over the fewest tables that hold everyone, table sizes differing by at most one.
+ * @param {string[]} entrantIds
+ * @param {number} tableSize most players per table
+ * @param {number} seatsPerTable seat indexes available at a table (0..seatsPerTable-1)
+ * @returns {{tableCount:number, seats:Array<{id:string, table:number, seatIdx:number}>}}
+ */
+export function seatEntrants(entrantIds, tableSize, seatsPerTable, random = Math.random) {
+  const tableCount = Math.max(1, Math.ceil(entrantIds.length / tableSize));
+  const freeSeats = Array.from({ length: tableCount }, () =>
+    shuffle(Array.from({ length: seatsPerTable }, (_, i) => i), random)
+  );
+  const seats = shuffle(entrantIds, random).map((id, i) => {
+    const table = i % tableCount;
+    return { id, table, seatIdx: freeSeats[table].pop() };
+  });
+  return { tableCount, seats };
+}
+
+/**
+ * What to do after players bust so the field sits at as few tables as possible, as evenly as possible.
+ * Tables break smallest first while the rest can hold everyone; a broken table's players go to the
+ * shortest tables, then single players move from the longest to the shortest table until sizes
+ * differ by at most one. When everyone fits at one table that is the final table.
+ * @param {Array<{id:string, count:number}>} tables players still in, per table
+ * @param {number} tableSize
+ * @returns {{breakTables:string[], moves:Array<{from:string, to:string}>}} moves are one player each, in order
+ */
+export function planBalance(tables, tableSize) {
+  const total = tables.reduce((sum, t) => sum + t.count, 0);
+  const needed = Math.max(1, Math.ceil(total / tableSize));
+  const counts = new Map(tables.map((t) => [t.id, t.count]));
+
+  // on ties keep the earlier table (lower table numbers survive)
+  const order = tables.map((t, i) => ({ ...t, i })).sort((a, b) => a.count - b.count || b.i - a.i);
+  const breakTables = order.slice(0, Math.max(0, tables.length - needed)).map((t) => t.id);
+  const keep = tables.map((t) => t.id).filter((id) => !breakTables.includes(id));
+
+  const moves = [];
+  const shortest = () => keep.reduce((best, id) => (counts.get(id) < counts.get(best) ? id : best), keep[0]);
+  const longest = () => keep.reduce((best, id) => (counts.get(id) > counts.get(best) ? id : best), keep[0]);
+  const move = (from, to) => {
+    moves.push({ from, to });
+    counts.set(from, counts.get(from) - 1);
+    counts.set(to, counts.get(to) + 1);
+  };
+
+  for (const id of breakTables) {
+    while (counts.get(id) > 0) move(id, shortest());
+  }
+  while (keep.length > 1 && counts.get(longest()) - counts.get(shortest()) > 1) move(longest(), shortest());
+  return { breakTables, moves };
+}
@@ -0,0 +1,84 @@
+// --- Pot construction / distribution (pure; no room or socket access) ---
+// Contributions are the chips each seat put in over the whole hand (all streets).
+
+/**
+ * The part of the largest contribution nobody matched. It goes back to its owner
+ * before pots are built.
+ * @param {Map<number, number>} contributions seatIdx -> chips put in this hand
+ * @returns {{seatIdx:number, amount:number}|null}
+ */
+export function findUncalledBet(contributions) {
+  let topSeat = null;
+  let top = 0;
+  let second = 0;
+  for (const [seatIdx, amt] of contributions) {
+    if (amt > top) {
+      second = top;
+      top = amt;
+      topSeat = seatIdx;
+    } else if (amt > second) {
+      second = amt;
+    }
+  }
+  if (topSeat === null || top <= second) return null;
+  return { seatIdx: topSeat, amount: top - second };
+}
+
+/**
+ * Split contributions into a main pot plus ordered side pots.
+ * Each pot is capped at the smallest remaining contribution of a live (non-folded) seat;
+ * only live seats that covered that cap are eligible. Folded chips stay in as dead money.
+ * @param {Map<number, number>} contributions seatIdx -> chips put in this hand
+ * @param {number[]} liveSeats seats still contesting the pot
+ * @returns {Array<{amount:number, eligible:number[]}>}
+ */
+export function buildPots(contributions, liveSeats) {
+  const live = new Set(liveSeats);
+  const remaining = new Map();
+  for (const [seatIdx, amt] of contributions) if (amt > 0) remaining.set(seatIdx, amt);
+
+  const pots = [];
+  while (remaining.size > 0) {
+    const liveAmts = [...remaining].filter(([s]) => live.has(s)).map(([, a]) => a);
+    if (liveAmts.length === 0) {
+      // Only dead money above every live contribution (e.g. someone folded with checks available).
+      let dead = 0;
+      for (const a of remaining.values()) dead += a;
+      if (pots.length) pots[pots.length - 1].amount += dead;
+      else pots.push({ amount: dead, eligible: [] });
+      break;
+    }
+    const cap = Math.min(...liveAmts);
+    let amount = 0;
+    const eligible = [];
+    for (const [seatIdx, amt] of remaining) {
+      const take = Math.min(amt, cap);
+      amount += take;
+      if (live.has(seatIdx)) eligible.push(seatIdx);
+      if (amt - take <= 0) remaining.delete(seatIdx);
+      else remaining.set(seatIdx, amt - take);
+    }
+    pots.push({ amount, eligible: eligible.sort((a, b) => a - b) });
+  }
+  return pots;
+}
+
+/**
+ * Divide a pot among winners. Odd chips go one at a time to the winners in `winnersInOrder`
+ * order, which callers pass as position order (first seat clockwise from the button first).
+ * @param {number} amount
+ * @param {number[]} winnersInOrder
+ * @returns {Map<number, number>} seatIdx -> chips won
+ */
+export function splitPot(amount, winnersInOrder) {
+  const out = new Map();
+  if (!winnersInOrder.length) return out;
+  const share = Math.floor(amount / winnersInOrder.length);
+  let odd = amount - share * winnersInOrder.length;
+  for (const seatIdx of winnersInOrder) {
+    const extra = odd > 0 ? 1 : 0;
+    odd -= extra;
+    out.set(seatIdx, share + extra);
+  }
+  return out;
+}
@@ -0,0 +1,59 @@
+// --- Private room passwords (no room or socket access) ---
+// Rooms keep only a salted scrypt hash of their password, so snapshots on disk don't reveal it.
+
+import { randomBytes, scrypt, scryptSync, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+export const ROOM_PASSWORD_MAX_LEN = 64;
+
+const KEY_LEN = 32;
+
+/** A password as typed by players: trimmed and capped; "" means none. */
+export function cleanRoomPassword(password) {
+  return String(password ?? "").trim().slice(0, ROOM_PASSWORD_MAX_LEN);
+}
+
+/** @returns {string} "<salt>:<hash>", both hex */
+export function hashRoomPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  return `${salt}:${scryptSync(String(password), salt, KEY_LEN).toString("hex")}`;
+}
+
+/** Off the event loop (scrypt is slow on purpose), so guesses can't stall the server. */
+export async function checkRoomPassword(stored, password) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const given = await scryptAsync(String(password ?? ""), salt, KEY_LEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Failed password attempts per key (e.g. address + room). After `maxFailures` within `windowMs`
+ * the key is refused until the window that started with its first failure runs out.
+ */
+export function createPasswordThrottle({ maxFailures = 5, windowMs = 60_000, now = Date.now } = {}) {
+  const failures = new Map(); // key -> { count, since }
+  const live = (key) => {
+    const f = failures.get(key);
+    if (f && now() - f.since >= windowMs) failures.delete(key);
+    return failures.get(key) || null;
+  };
+  return {
+    isLocked(key) {
+      return (live(key)?.count || 0) >= maxFailures;
+    },
+    fail(key) {
+      const f = live(key);
+      if (f) f.count += 1;
+      else failures.set(key, { count: 1, since: now() });
+      // forget old entries now and then so the map can't grow without bound
+      if (failures.size > 10_000) for (const k of [...failures.keys()]) live(k);
+    },
+    succeed(key) {
+      failures.delete(key);
+    }
+  };
+}
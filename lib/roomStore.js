@@ -0,0 +1,72 @@
+// --- Room snapshot storage ---
+// server.js only talks to this interface, so the file store can be swapped for another backend:
+//   load()                 -> Promise<object[]>   every saved snapshot (called once at boot)
+//   save(roomId, snapshot) -> Promise<void>       replace the room's snapshot
+//   remove(roomId)         -> Promise<void>       forget the room (match over / room released)
+// Snapshots are plain JSON-safe objects; what goes in them is server.js's business.
+
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * One JSON file per room in `dir`. Writes go to a temp file and are renamed into place so a
+ * crash mid-write leaves the previous snapshot intact; writes for the same room are queued.
+ */
+export function createFileRoomStore(dir) {
+  const queues = new Map(); // roomId -> Promise (last queued write/remove)
+  const fileFor = (roomId) => path.join(dir, `${encodeURIComponent(roomId)}.json`);
+
+  const enqueue = (roomId, job) => {
+    const prev = queues.get(roomId) || Promise.resolve();
+    const next = prev.then(job, job);
+    queues.set(roomId, next);
+    // the caller handles a failed write; this chain only tidies up (so it must not reject again)
+    const cleanup = () => {
+      if (queues.get(roomId) === next) queues.delete(roomId);
+    };
+    next.then(cleanup, cleanup);
+    return next;
+  };
+
+  return {
+    async load() {
+      await fs.mkdir(dir, { recursive: true });
+      const out = [];
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+        try {
+          out.push(JSON.parse(await fs.readFile(path.join(dir, name), "utf8")));
+        } catch (e) {
+          console.warn(`[roomStore] skipping unreadable snapshot ${name}:`, e?.message || e);
+        }
+      }
+      return out;
+    },
+
+    save(roomId, snapshot) {
+      const data = JSON.stringify(snapshot);
+      return enqueue(roomId, async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const file = fileFor(roomId);
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, data, "utf8");
+        await fs.rename(tmp, file);
+      });
+    },
+
+    remove(roomId) {
+      return enqueue(roomId, async () => {
+        await fs.rm(fileFor(roomId), { force: true });
+      });
+    }
+  };
+}
+
+/** Keeps nothing (persistence turned off). */
+export function createNullRoomStore() {
+  return {
+    async load() { return []; },
+    async save() {},
+    async remove() {}
+  };
+}
@@ -0,0 +1,47 @@
+// --- Seat ownership tokens (no room or socket access) ---
+// A player who takes a seat gets a token signed with the room's secret; coming back to that seat
+// during a match requires it. Tokens name the room, the seat and the seat's nonce, and every new
+// assignment of a seat gets a new nonce, so tokens from an earlier owner stop working.
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+export function createSeatSecret() {
+  return randomBytes(32).toString("hex");
+}
+
+export function createSeatNonce() {
+  return randomBytes(12).toString("base64url");
+}
+
+function sign(secret, payload) {
+  return createHmac("sha256", String(secret)).update(payload).digest("base64url");
+}
+
+/**
+ * @param {string} secret the room's seat secret
+ * @param {{roomId:string, seatIdx:number, nonce:string}} claim
+ * @returns {string} "<payload>.<signature>", both base64url
+ */
+export function signSeatToken(secret, { roomId, seatIdx, nonce }) {
+  const payload = Buffer.from(JSON.stringify([roomId, seatIdx, nonce])).toString("base64url");
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+/**
+ * The claim in a token, or null when it is malformed or not signed with this secret.
+ * @returns {{roomId:string, seatIdx:number, nonce:string}|null}
+ */
+export function readSeatToken(secret, token) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+  const expected = Buffer.from(sign(secret, payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+  try {
+    const [roomId, seatIdx, nonce] = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (typeof roomId !== "string" || !Number.isInteger(seatIdx) || typeof nonce !== "string") return null;
+    return { roomId, seatIdx, nonce };
+  } catch (_) {
+    return null;
+  }
+}
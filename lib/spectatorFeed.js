@@ -0,0 +1,15 @@
+// --- Delayed spectator feed (pure; no room or socket access) ---
+// With a spectator delay, events are captured when they happen and sent later. Payloads point into
+// live table state (the board, the players), so the copy is taken at capture time: otherwise cards
+// dealt during the delay would show up in an earlier street's state.
+
+/**
+ * What a delayed spectator gets for `event`: a deep copy of the payload as it is now, without
+ * the action clock (it would be stale by the time it is shown).
+ */
+export function delayedCopy(event, payload) {
+  const copy = structuredClone(payload);
+  if (event === "game_state") copy.turnClock = null;
+  else if (event === "turn") copy.clock = null;
+  return copy;
+}
@@ -0,0 +1,133 @@
+// --- Sit-and-go tournament rules (pure; no room or socket access) ---
+// Blind structures, level lookup, finishing places and the payout table.
+
+// Levels per 1000 starting chips; scaled to the real starting stack.
+export const BLIND_STRUCTURES = {
+  standard: [
+    [10, 20, 0], [15, 30, 0], [25, 50, 0], [50, 100, 0], [75, 150, 10],
+    [100, 200, 25], [150, 300, 25], [200, 400, 50], [300, 600, 75], [400, 800, 100],
+    [600, 1200, 150], [800, 1600, 200], [1000, 2000, 300], [1500, 3000, 400], [2000, 4000, 500]
+  ],
+  turbo: [
+    [25, 50, 0], [50, 100, 0], [100, 200, 25], [150, 300, 25], [200, 400, 50],
+    [300, 600, 75], [500, 1000, 100], [800, 1600, 200], [1200, 2400, 300], [2000, 4000, 500]
+  ]
+};
+
+// Share of the prize pool (percent) by finishing place, chosen from the number of entrants.
+function defaultPayoutPercents(entrants) {
+  if (entrants <= 4) return [100];
+  if (entrants <= 6) return [65, 35];
+  if (entrants <= 10) return [50, 30, 20];
+  // multi-table fields
+  if (entrants <= 20) return [40, 25, 15, 12, 8];
+  if (entrants <= 40) return [32, 20, 14, 10, 8, 6, 5, 5];
+  return [27, 17, 12, 9, 7, 6, 5, 4, 4, 3, 3, 3];
+}
+
+function roundChips(n) {
+  return Math.max(5, Math.round(n / 5) * 5);
+}
+
+/**
+ * Validate the host's tournament settings, filling in defaults.
+ * input: { levelBy: "hands"|"time", levelLength, structure: "standard"|"turbo", levels?: [{sb, bb, ante}],
+ *          rebuyUntilLevel, payouts?: number[] }
+ *   levelLength = hands per level, or minutes per level when levelBy is "time"
+ *   rebuyUntilLevel = last level (1-based) at which busted players may rebuy (0 = freezeout)
+ * @returns {{levelBy:string, levelLength:number, structure:string, levels:Array<{sb:number, bb:number, ante:number}>,
+ *            rebuyUntilLevel:number, payouts:number[]|null}}
+ */
+export function normalizeTournamentConfig(input = {}, initialChips = 1000) {
+  const levelBy = input.levelBy === "time" ? "time" : "hands";
+  const len = Math.floor(Number(input.levelLength));
+  const levelLength = Number.isFinite(len) && len > 0 ? Math.min(len, levelBy === "time" ? 60 : 100) : (levelBy === "time" ? 5 : 10);
+
+  let levels = null;
+  let structure = BLIND_STRUCTURES[input.structure] ? input.structure : "standard";
+  if (Array.isArray(input.levels) && input.levels.length) {
+    levels = [];
+    for (const l of input.levels.slice(0, 40)) {
+      const sb = Math.floor(Number(l?.sb));
+      const bb = Math.floor(Number(l?.bb));
+      const ante = Math.floor(Number(l?.ante || 0));
+      if (!(sb > 0 && bb >= sb && ante >= 0)) { levels = null; break; }
+      levels.push({ sb, bb, ante });
+    }
+    if (levels) structure = "custom";
+  }
+  if (!levels) {
+    const scale = (Number(initialChips) || 1000) / 1000;
+    levels = BLIND_STRUCTURES[structure].map(([sb, bb, ante]) => ({
+      sb: roundChips(sb * scale),
+      bb: roundChips(bb * scale),
+      ante: ante ? roundChips(ante * scale) : 0
+    }));
+  }
+
+  const ru = Math.floor(Number(input.rebuyUntilLevel));
+  const rebuyUntilLevel = Number.isFinite(ru) && ru > 0 ? Math.min(ru, levels.length + 1) : 0;
+
+  let payouts = null;
+  if (Array.isArray(input.payouts) && input.payouts.length) {
+    const p = input.payouts.slice(0, 10).map((x) => Math.max(0, Number(x) || 0));
+    const sum = p.reduce((a, b) => a + b, 0);
+    if (sum > 0) payouts = p.map((x) => (x * 100) / sum);
+  }
+  return { levelBy, levelLength, structure, levels, rebuyUntilLevel, payouts };
+}
+
+/**
+ * Level in force for a hand (0-based, capped at the last level).
+ * @param {{levelBy:string, levelLength:number, levels:any[]}} cfg
+ * @param {{handNum:number, elapsedMs:number}} at handNum = the hand about to be dealt (1-based)
+ */
+export function levelIndexAt(cfg, at) {
+  const raw = cfg.levelBy === "time"
+    ? Math.floor(Math.max(0, at.elapsedMs) / (cfg.levelLength * 60 * 1000))
+    : Math.floor(Math.max(0, at.handNum - 1) / cfg.levelLength);
+  return Math.min(raw, cfg.levels.length - 1);
+}
+
+/**
+ * When the next level starts: a hand number (levels by hands) or ms since the start (levels by time).
+ * null once the last level is reached.
+ */
+export function nextLevelAt(cfg, levelIdx) {
+  if (levelIdx >= cfg.levels.length - 1) return null;
+  return cfg.levelBy === "time"
+    ? (levelIdx + 1) * cfg.levelLength * 60 * 1000
+    : (levelIdx + 1) * cfg.levelLength + 1;
+}
+
+/**
+ * Places for players who busted in the same hand: whoever started the hand with more chips
+ * finishes higher; equal stacks are ordered by seat.
+ * @param {Array<{seatIdx:number, startStack:number}>} busted
+ * @param {number} aliveAfter players still in the tournament after this hand
+ * @returns {Array<{seatIdx:number, place:number}>} best place first
+ */
+export function placeBusted(busted, aliveAfter) {
+  const sorted = [...busted].sort((a, b) => b.startStack - a.startStack || a.seatIdx - b.seatIdx);
+  return sorted.map((b, i) => ({ seatIdx: b.seatIdx, place: aliveAfter + 1 + i }));
+}
+
+/**
+ * Prize per place. Rounding leftovers go to first place so the pool is paid out exactly.
+ * @param {number} entrants
+ * @param {number} prizePool
+ * @param {number[]|null} percents host table, or null for the default by field size
+ * @returns {Array<{place:number, percent:number, amount:number}>}
+ */
+export function payoutTable(entrants, prizePool, percents) {
+  const pct = (percents && percents.length ? percents : defaultPayoutPercents(entrants)).slice(0, Math.max(1, entrants));
+  const total = pct.reduce((a, b) => a + b, 0);
+  const rows = pct.map((p, i) => ({
+    place: i + 1,
+    percent: Math.round((p * 10000) / total) / 100,
+    amount: Math.floor((prizePool * p) / total)
+  }));
+  const paid = rows.reduce((a, r) => a + r.amount, 0);
+  if (rows.length) rows[0].amount += prizePool - paid;
+  return rows;
+}
@@ -1,14 +1,46 @@
 import express from "express";
 import http from "http";
+import os from "os";
 import { Server as SocketIOServer } from "socket.io";
 import path from "path";
 import { fileURLToPath } from "url";
+import { ANTE_MODES, MAX_RUNS, createEngine } from "./lib/engine.js";
+import { BETTING_STRUCTURES } from "./lib/betting.js";
+import { gameDeck, getGame, listGames } from "./lib/games.js";
+import {
+  cardCode,
+  cleanClientSeed,
+  createServerSeed,
+  hashServerSeed,
+  shuffleDeck,
+  verifyShuffle
+} from "./lib/fairShuffle.js";
+import { formatPokerStars, publicHandRecord, summarizeHand } from "./lib/handHistory.js";
+import { checkRoomPassword, cleanRoomPassword, createPasswordThrottle, hashRoomPassword } from "./lib/roomPassword.js";
+import { createSeatNonce, createSeatSecret, readSeatToken, signSeatToken } from "./lib/seatToken.js";
+import { createFileRoomStore, createNullRoomStore } from "./lib/roomStore.js";
+import { delayedCopy } from "./lib/spectatorFeed.js";
+import { levelIndexAt, nextLevelAt, normalizeTournamentConfig, payoutTable, placeBusted } from "./lib/tournament.js";
+import { planBalance, seatEntrants } from "./lib/mtt.js";
+import { DEFAULT_AI_STRATEGY, getAiStrategy, listAiStrategies } from "./lib/aiStrategy.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 3000;
 const SEATS = 10;
+// Consecutive timeouts before a player is sat out automatically.
+const MAX_TIMEOUTS = 2;
+// table chat
+const CHAT_MAX_LEN = 200;
+const CHAT_HISTORY = 100; // messages kept per room (sent on reconnect)
+const CHAT_RATE_COUNT = 5; // at most this many messages...
+const CHAT_RATE_WINDOW_MS = 10 * 1000; // ...per window, per socket
+const MTT_MAX_ENTRANTS = 100;
+const MTT_DEAL_DELAY_MS = 4000; // pause between hands at multi-table tournament tables (no host to press "next")
+// external bots: BOT_TOKEN (if set) must be sent in the /bots handshake; answers are due within BOT_DECISION_MS
+const BOT_TOKEN = process.env.BOT_TOKEN || "";
+const BOT_DECISION_MS = Math.max(500, Number(process.env.BOT_DECISION_MS) || 5000);
 
 const app = express();
 const server = http.createServer(app);
@@ -32,11 +64,162 @@ app.use((req, _res, next) => {
   next();
 });
 
-app.get("/", (_req, res) => res.sendFile(path.join(__dirname, "index.html")));
-app.use(express.static(__dirname));
+// Only the client files are public: the rest of the folder (server code, config, data) stays private.
+app.get(["/", "/index.html"], (_req, res) => res.sendFile(path.join(__dirname, "index.html")));
+app.use("/lib", express.static(path.join(__dirname, "lib")));
+// optional background music, dropped next to index.html by whoever deploys
+app.get("/Love_Me.mp3", (_req, res) => res.sendFile(path.join(__dirname, "Love_Me.mp3"), (err) => err && res.sendStatus(404)));
 
 /** @type {Map<string, Room>} */
 const rooms = new Map();
+const mtts = new Map(); // multi-table tournaments: mttId -> coordinator state (tables are rooms)
+
+// Room snapshots survive restarts/deploys. ROOM_STORE_DIR=off disables persistence.
+// They hold seat secrets, password hashes and every hole card, so they never go under a served folder.
+const roomStore =
+  process.env.ROOM_STORE_DIR === "off"
+    ? createNullRoomStore()
+    : createFileRoomStore(process.env.ROOM_STORE_DIR || path.join(os.tmpdir(), "nebula-poker", "rooms"));
+
+// --- Multi-table tournament lobby ---
+// GET /api/tournaments          -> [{id, name, status, entrants, tables}]
+// GET /api/tournaments/:mttId   -> full lobby view (entrants, tables, blind clock, payouts, standings)
+app.get("/api/tournaments", (_req, res) => {
+  res.json([...mtts.values()].map((m) => ({
+    id: m.id,
+    name: m.name,
+    status: m.status,
+    entrants: m.entrants.length,
+    tables: m.tables.length
+  })));
+});
+
+app.get("/api/tournaments/:mttId", (req, res) => {
+  const mtt = mtts.get(req.params.mttId);
+  if (!mtt) return res.status(404).json({ error: "Tournament not found" });
+  res.json(getMttState(mtt));
+});
+
+// --- Room lobby ---
+// GET /api/rooms -> [{roomId, private, seated, humans, ai, seats, smallBlind, bigBlind, ante, format, status, ...}]
+// (same list as the list_rooms socket event; tournament tables are listed under /api/tournaments)
+app.get("/api/rooms", (_req, res) => {
+  res.json(listLobbyRooms());
+});
+
+// --- Hand history export ---
+// GET /api/rooms/:roomId/hands                 -> JSON list (summaries); ?format=text for all hands as PokerStars text
+// GET /api/rooms/:roomId/hands/:handNum        -> JSON record;              ?format=text for PokerStars text
+// ?seatToken=<the seat's token> adds that seat's own hole cards, like a player's own history file; otherwise
+// only the hands that were shown are included (mucked and uncontested hands stay hidden).
+// A private room's history (and its shuffle checks) needs a seat token or ?password=; to anyone else the room
+// doesn't exist.
+function wantsText(req) {
+  const f = String(req.query.format || "").toLowerCase();
+  return f === "text" || f === "txt" || f === "pokerstars";
+}
+
+// Only the seat's owner can ask for its hidden cards: the seat comes from a valid seat token, never a number.
+function heroSeatFromQuery(req, room) {
+  const seatIdx = req.query.seatToken ? seatForToken(room, String(req.query.seatToken)) : null;
+  return seatIdx === null ? undefined : seatIdx;
+}
+
+// The room, if this request may read its history.
+async function readableRoom(req) {
+  const room = rooms.get(String(req.params.roomId));
+  if (!room || !room.passwordHash || heroSeatFromQuery(req, room) !== undefined) return room || null;
+  return (await tryRoomPassword(room, req.query.password, req.ip)) === "ok" ? room : null;
+}
+
+app.get("/api/rooms/:roomId/hands", async (req, res) => {
+  const room = await readableRoom(req);
+  if (!room) return res.status(404).json({ error: "Room not found" });
+  const hands = room.handHistory.filter((h) => Array.isArray(h.actions));
+  if (wantsText(req)) {
+    const heroSeat = heroSeatFromQuery(req, room);
+    res.type("text/plain").send(hands.map((h) => formatPokerStars(h, { heroSeat })).join("\n\n\n") + "\n");
+    return;
+  }
+  res.json({ roomId: room.roomId, hands: hands.map(summarizeHand) });
+});
+
+app.get("/api/rooms/:roomId/hands/:handNum", async (req, res) => {
+  const room = await readableRoom(req);
+  if (!room) return res.status(404).json({ error: "Room not found" });
+  const hand = getHandRecord(room, Number(req.params.handNum));
+  if (!hand) return res.status(404).json({ error: "Hand not found" });
+  if (wantsText(req)) {
+    res.type("text/plain").send(formatPokerStars(hand, { heroSeat: heroSeatFromQuery(req, room) }) + "\n");
+    return;
+  }
+  const record = publicHandRecord(hand, { heroSeat: heroSeatFromQuery(req, room) });
+  if (record.fairness && !isFairnessRevealed(room)) record.fairness = hiddenFairness(record.fairness);
+  res.json(record);
+});
+
+// --- Shuffle verification (lib/fairShuffle.js) ---
+// GET /api/rooms/:roomId/hands/:handNum/verify -> recomputes the deck from the hand's seeds and checks it
+//                                                 against the hole cards and board that were dealt; the server
+//                                                 seed and deal order are only included once the match is over
+// GET /api/verify-shuffle?serverSeed=&clientSeeds=0=abc,3=def&handNum=N[&game=shortdeck] -> the deck for any seeds
+app.get("/api/rooms/:roomId/hands/:handNum/verify", async (req, res) => {
+  const room = await readableRoom(req);
+  if (!room) return res.status(404).json({ error: "Room not found" });
+  const hand = getHandRecord(room, Number(req.params.handNum));
+  if (!hand) return res.status(404).json({ error: "Hand not found" });
+  if (!hand.fairness) return res.status(404).json({ error: "No shuffle seeds recorded for this hand" });
+  const { serverSeed, serverSeedHash, clientSeeds, game } = hand.fairness;
+  const check = verifyShuffle({ serverSeed, clientSeeds, handNum: hand.handNum, deck: gameDeck(game) });
+  const dealt = replayDeal(check.dealOrder, hand);
+  const board = runOutCards(hand).map(cardCode);
+  const matches =
+    check.serverSeedHash === serverSeedHash &&
+    hand.seats.every((s) => s.holeCards.map(cardCode).join(" ") === (dealt.holeCards.get(s.seatIdx) || []).join(" ")) &&
+    board.join(" ") === dealt.board.slice(0, board.length).join(" ");
+  if (!isFairnessRevealed(room)) {
+    // the deal order would give away every folded and mucked hand: only the server's word until the match ends
+    res.json({ roomId: room.roomId, handNum: hand.handNum, serverSeedHash, clientSeeds: check.clientSeeds, revealed: false, matches });
+    return;
+  }
+  res.json({ roomId: room.roomId, handNum: hand.handNum, serverSeed, serverSeedHash, clientSeeds, ...check, revealed: true, matches });
+});
+
+app.get("/api/verify-shuffle", (req, res) => {
+  const serverSeed = String(req.query.serverSeed || "");
+  const handNum = Number(req.query.handNum);
+  if (!serverSeed || !Number.isInteger(handNum)) return res.status(400).json({ error: "serverSeed and handNum are required" });
+  const clientSeeds = String(req.query.clientSeeds || "")
+    .split(",")
+    .filter(Boolean)
+    .map((part) => {
+      const [seatIdx, seed] = part.split("=");
+      return { seatIdx: Number(seatIdx), seed: cleanClientSeed(seed) };
+    })
+    .filter((c) => Number.isInteger(c.seatIdx) && c.seed);
+  const game = getGame(req.query.game).id;
+  res.json({ serverSeed, handNum, game, ...verifyShuffle({ serverSeed, clientSeeds, handNum, deck: gameDeck(game) }) });
+});
+
+// Hole cards go out one at a time (two or four rounds) starting left of the button, then the board
+// (and any further run-outs); no burn cards.
+function replayDeal(dealOrder, hand) {
+  const dist = (idx) => (idx - hand.buttonSeat - 1 + SEATS) % SEATS;
+  const order = hand.seats.map((s) => s.seatIdx).sort((a, b) => dist(a) - dist(b));
+  const holeCards = new Map(order.map((seatIdx) => [seatIdx, []]));
+  const rounds = Math.max(0, ...hand.seats.map((s) => s.holeCards.length));
+  let n = 0;
+  for (let round = 0; round < rounds; round++) for (const seatIdx of order) holeCards.get(seatIdx).push(dealOrder[n++]);
+  return { holeCards, board: dealOrder.slice(n) };
+}
+
+// Board cards in the order they left the deck: the first board, then the new cards of each further run.
+function runOutCards(hand) {
+  if (!(hand.boards?.length > 1)) return hand.board;
+  const [first, ...more] = hand.boards;
+  const shared = first.findIndex((c, i) => cardCode(c) !== cardCode(more[0][i]));
+  return [...first, ...more.flatMap((b) => b.slice(shared))];
+}
 
 // Auto release rooms after 3 hours with no connected sockets
 setInterval(() => {
@@ -45,17 +228,24 @@ setInterval(() => {
   for (const room of rooms.values()) {
     if (room.closing) continue;
     if (!room.emptySince) continue;
+    // tables of a running multi-table tournament wait for their players
+    if (getMttForRoom(room)?.status === "running") continue;
     if (ts - room.emptySince > ttlMs) {
       try { rooms.delete(room.roomId); } catch (_) {}
+      forgetRoom(room);
     }
   }
+  for (const mtt of mtts.values()) {
+    if (mtt.status === "running") continue;
+    if (ts - (mtt.finishedAt || mtt.createdAt) > ttlMs) mtts.delete(mtt.id);
+  }
 }, 10 * 60 * 1000);
 
 function now() {
   return Date.now();
 }
 
-async function releaseRoom(room) {
+async function releaseRoom(room, reason = "match_over") {
   const rid = room.roomId;
   if (room.closeTimer) {
     try { clearTimeout(room.closeTimer); } catch (_) {}
@@ -69,7 +259,7 @@ async function releaseRoom(room) {
         s.data.roomId = null;
         s.data.seatIdx = null;
         s.data.voiceJoined = false;
-        s.emit("room_closed", { roomId: rid, reason: "match_over" });
+        s.emit("room_closed", { roomId: rid, reason });
         s.leave(rid);
       } catch (_) {}
     }
@@ -77,6 +267,70 @@ async function releaseRoom(room) {
     console.warn("[releaseRoom] fetchSockets failed:", e?.message || e);
   }
   rooms.delete(rid);
+  forgetRoom(room);
+}
+
+// --- Persistence ---
+// Snapshots are taken only at safe points (match start, hand end), when no hand is in progress,
+// so a restored room just waits for the host to deal the next hand. A crash mid-hand loses that hand.
+const PERSISTED_ROOM_FIELDS = [
+  "roomId", "createdAt", "started", "totalHands", "initialChips", "smallBlind", "bigBlind",
+  "turnSeconds", "timeBankSeconds", "spectatorDelaySeconds", "format", "game", "betting", "smallBet", "bigBet", "raiseCap", "ante", "anteMode", "runItTimes", "tournament",
+  "handNum", "dealerSeatIdx", "sbSeatIdx", "bbSeatIdx", "sbPosIdx",
+  "round", "communityCards", "handHistory", "activityLog", "chat", "chatMuted", "seatSecret", "passwordHash"
+];
+
+function serializeRoom(room) {
+  const snap = { version: 1, savedAt: now() };
+  for (const key of PERSISTED_ROOM_FIELDS) snap[key] = room[key];
+  // sockets don't survive a restart; players come back through join_room with their seat token
+  snap.seats = room.seats.map((s) => (s ? { ...s, socketId: null } : null));
+  snap.players = [...room.players.values()].map((p) => ({ ...p }));
+  return snap;
+}
+
+function restoreRoom(snap) {
+  const room = makeRoom(snap.roomId);
+  for (const key of PERSISTED_ROOM_FIELDS) if (snap[key] !== undefined) room[key] = snap[key];
+  room.seats = Array.from({ length: SEATS }, (_, i) => {
+    const s = snap.seats?.[i];
+    if (!s) return null;
+    return s.type === "player" ? { ...s, socketId: null, disconnectedAt: s.disconnectedAt || now() } : { ...s };
+  });
+  room.players = new Map((snap.players || []).map((p) => [p.seatIdx, { ...p }]));
+  ensurePlayersMap(room);
+  room.pot = 0;
+  // between hands: the host's "next hand" picks the match back up
+  if (room.started) room.round = "HAND_OVER";
+  room.emptySince = now();
+  return room;
+}
+
+// Multi-table tournament tables are not saved: their coordinator lives in memory only.
+function persistRoom(room) {
+  if (room.closing || room.mttId) return;
+  roomStore.save(room.roomId, serializeRoom(room)).catch((e) => {
+    console.warn(`[persist] failed to save room ${room.roomId}:`, e?.message || e);
+  });
+}
+
+function forgetRoom(room) {
+  roomStore.remove(room.roomId).catch((e) => {
+    console.warn(`[persist] failed to remove room ${room.roomId}:`, e?.message || e);
+  });
+}
+
+async function loadPersistedRooms() {
+  try {
+    const snaps = await roomStore.load();
+    for (const snap of snaps) {
+      if (!snap?.roomId || rooms.has(snap.roomId)) continue;
+      rooms.set(snap.roomId, restoreRoom(snap));
+    }
+    if (snaps.length) console.log(`[persist] restored ${rooms.size} room(s)`);
+  } catch (e) {
+    console.warn("[persist] failed to load rooms:", e?.message || e);
+  }
 }
 
 function makeRoom(roomId) {
@@ -89,6 +343,8 @@ function makeRoom(roomId) {
     socketIds: new Set(),
     hostSocketId: null,
     seats: Array.from({ length: SEATS }, () => null),
+    seatSecret: createSeatSecret(), // signs seat tokens (lib/seatToken.js)
+    passwordHash: null, // private rooms: salted hash of the join password (lib/roomPassword.js)
     started: false,
 
     // settings (host-controlled)
@@ -96,18 +352,39 @@ function makeRoom(roomId) {
     initialChips: 1000,
     smallBlind: 50,
     bigBlind: 100,
+    turnSeconds: 30, // decision time per action (0 = no clock)
+    timeBankSeconds: 60, // extra time per player for the whole match
+    spectatorDelaySeconds: 0, // spectators see the game feed this much later (0 = live)
+    format: "cash", // "cash" (fixed number of hands) | "tournament" (sit-and-go, blinds go up until one player is left)
+    game: "holdem", // variant (lib/games.js): "holdem" | "shortdeck" (6+) | "omaha" (pot-limit)
+    betting: null, // "no-limit" | "pot-limit" | "fixed-limit" (lib/betting.js); null = the variant's own
+    smallBet: 0, // fixed limit: bet size preflop and on the flop (0 = big blind)
+    bigBet: 0, // fixed limit: bet size on the turn and river (0 = twice the small bet)
+    raiseCap: 4, // fixed limit: most bets and raises per street (0 = no cap)
+    ante: 0, // ante amount (host setting in cash games, tournament levels otherwise)
+    anteMode: "everyone", // who posts it (lib/engine.js ANTE_MODES): "everyone" | "big-blind" | "button"
+    runItTimes: 1, // all-in run-outs: most boards the players may agree to deal (1 = always once)
+    tournament: null, // { config, startedAt, levelIdx, entrants, finishes: [{seatIdx, name, place, handNum}] }
+    mttId: null, // set when this room is a table of a multi-table tournament
+    dealInAway: false, // tournament tables: absent entrants are dealt in, post blinds and antes, and fold
+    mttDealTimer: null,
 
     // game state
     handNum: 0,
     dealerSeatIdx: 0,
-    sbSeatIdx: null,
+    sbSeatIdx: null, // null also means a dead small blind
     bbSeatIdx: null,
+    sbPosIdx: null, // where the small blind sat (live or dead); the button moves here next hand
     pot: 0,
     round: "WAITING", // WAITING | PRE-FLOP | FLOP | TURN | RIVER | SHOWDOWN
     communityCards: [],
+    runBoards: [], // every board when an all-in run-out was dealt more than once
+    runItVote: null, // players deciding how many times to run an all-in board
+    runOut: null, // all-in run-out in progress (streets dealt on a timer)
+    equity: null, // each live hand's equity during that run-out
     deck: [],
     currentMaxBet: 0,
-    minRaise: 100,
+    minRaise: 100, // size of the last full raise this street
     activeSeatIdx: null,
     pendingActionSeats: new Set(), // seatIdx that still must act to close action
     players: new Map(), // seatIdx -> PlayerState
@@ -115,7 +392,10 @@ function makeRoom(roomId) {
     // processing
     turnNonce: 0,
     aiTimer: null,
+    turnClock: null, // { seatIdx, startedAt, deadline, bankStartAt, timer } for the human on turn
     lastActorSeatIdx: null,
+    lastAggressorSeatIdx: null, // shows first at showdown
+    fairness: createFairness(), // { serverSeed, serverSeedHash, clientSeeds: Map<seatIdx, seed>, handNum, game } for the next deal
 
     // voice (signaling only; media is P2P)
     voice: {
@@ -123,8 +403,11 @@ function makeRoom(roomId) {
     },
 
     // match summary
-    handHistory: [], // [{handNum, winners:[{seatIdx,name}], desc}]
+    handHistory: [], // full hand records (lib/handHistory.js): seats, actions, board, pots, showdown, winners, desc
+    currentHand: null, // record for the hand in progress
     activityLog: [], // recent activity strings (for reconnect sync)
+    chat: [], // [{id, ts, socketId, seatIdx, name, text}] newest last
+    chatMuted: [], // clientIds (or socket ids) the host muted
     closing: false,
     closeTimer: null,
     expectedAcks: new Set(),
@@ -134,6 +417,7 @@ function makeRoom(roomId) {
 }
 
 function buildStandings(room) {
+  if (isTournament(room)) return buildTournamentStandings(room);
   const out = [];
   for (let i = 0; i < SEATS; i++) {
     const seat = room.seats[i];
@@ -161,6 +445,7 @@ async function emitMatchOverAndEnterClosing(room, reason) {
   // stop any pending AI timers
   try { clearTimeout(room.aiTimer); } catch (_) {}
   room.aiTimer = null;
+  stopTurnClock(room);
 
   if (reason) {
     try { broadcastActivity(room, String(reason)); } catch (_) {}
@@ -168,17 +453,22 @@ async function emitMatchOverAndEnterClosing(room, reason) {
   broadcastActivity(room, "Match over.");
 
   const standings = buildStandings(room);
-  const hands = Array.isArray(room.handHistory) ? room.handHistory.slice(0) : [];
+  const hands = Array.isArray(room.handHistory) ? room.handHistory.map(summarizeHand) : [];
   io.to(room.roomId).emit("match_over", {
     roomId: room.roomId,
+    format: room.format,
     totalHands: room.totalHands, // scheduled
-    scheduledHands: room.totalHands,
+    scheduledHands: isTournament(room) ? hands.length : room.totalHands,
     playedHands: hands.length,
     standings,
-    hands
+    payouts: isTournament(room) ? getPayouts(room) : null,
+    hands,
+    // every hand's seeds, now that no hidden card matters any more
+    fairness: (room.handHistory || []).filter((h) => h.fairness).map((h) => h.fairness)
   });
 
   room.closing = true;
+  forgetRoom(room);
   room.started = false;
   room.round = "WAITING";
   room.activeSeatIdx = null;
@@ -196,8 +486,9 @@ async function emitMatchOverAndEnterClosing(room, reason) {
 function seatToPublic(seat, seatIdx) {
   if (!seat) return null;
   const decor = seat.decor || "none";
-  if (seat.type === "ai") return { type: "ai", seatIdx, name: seat.name, decor };
-  return { type: "player", seatIdx, name: seat.name, decor };
+  if (seat.type === "ai" && seat.botId) return { type: "ai", seatIdx, name: seat.name, decor, bot: true, botId: seat.botId, botOnline: bots.has(seat.botId) };
+  if (seat.type === "ai") return { type: "ai", seatIdx, name: seat.name, decor, strategy: seat.strategy || DEFAULT_AI_STRATEGY };
+  return { type: "player", seatIdx, name: seat.name, decor, offline: !isSeatOnline(seat) };
 }
 
 function getRoomSummary(room, forSocketId) {
@@ -211,89 +502,201 @@ function getRoomSummary(room, forSocketId) {
     // broadcast 时不携带真假（否则会把 host 的 UI 覆盖成 false）；客户端用 hostSocketId vs socket.id 自行计算
     isHost: forSocketId ? forSocketId === room.hostSocketId : null,
     started: room.started,
+    private: !!room.passwordHash,
     seats: room.seats.map((s, i) => seatToPublic(s, i)),
-    settings: { totalHands: room.totalHands, initialChips: room.initialChips }
+    settings: {
+      totalHands: room.totalHands,
+      initialChips: room.initialChips,
+      turnSeconds: room.turnSeconds,
+      timeBankSeconds: room.timeBankSeconds,
+      spectatorDelaySeconds: room.spectatorDelaySeconds,
+      game: room.game,
+      betting: room.betting
+    },
+    games: listGames(), // choices for start_game { game }
+    bettingStructures: BETTING_STRUCTURES, // choices for start_game { betting }
+    aiStrategies: listAiStrategies(), // choices for toggle_ai { seatIdx, strategy }
+    bots: listBots(), // connected external bots, for toggle_ai { seatIdx, botId }
+    spectators: getSpectators(room),
+    spectatorCount: getSpectators(room).length,
+    chatMutedSocketIds: [...room.socketIds].filter((sid) => isChatMuted(room, io.sockets.sockets.get(sid)))
   };
 }
 
-function isSeatOccupied(room, seatIdx) {
-  return !!room.seats[seatIdx];
+function lobbyStatus(room) {
+  return room.closing ? "closing" : room.started ? "playing" : "waiting";
 }
 
-function getPlayer(room, seatIdx) {
-  return room.players.get(seatIdx) || null;
+// One lobby row per room (no seat names or chat: private rooms are listed too, just locked).
+function getLobbyEntry(room) {
+  const seats = room.seats.filter(Boolean);
+  return {
+    roomId: room.roomId,
+    private: !!room.passwordHash,
+    seated: seats.length,
+    humans: seats.filter((s) => s.type === "player").length,
+    ai: seats.filter((s) => s.type === "ai").length,
+    seats: SEATS,
+    smallBlind: room.smallBlind,
+    bigBlind: room.bigBlind,
+    ante: room.ante || 0,
+    anteMode: room.anteMode,
+    runItTimes: room.runItTimes,
+    format: room.format,
+    game: room.game,
+    betting: getBettingStructure(room).structure,
+    status: lobbyStatus(room),
+    handNum: room.handNum,
+    totalHands: isTournament(room) ? null : room.totalHands,
+    spectators: getSpectators(room).length
+  };
 }
 
-function isSeatEligible(room, seatIdx) {
+// Open tables first, then the most recently active.
+function listLobbyRooms() {
+  const order = { waiting: 0, playing: 1, closing: 2 };
+  return [...rooms.values()]
+    .filter((room) => !room.mttId)
+    .sort((a, b) => order[lobbyStatus(a)] - order[lobbyStatus(b)] || b.lastActiveAt - a.lastActiveAt)
+    .map(getLobbyEntry);
+}
+
+// --- Seat ownership (lib/seatToken.js) ---
+// Player seats carry a tokenNonce; the owner's browser keeps the signed token and sends it with
+// join_room / take_seat to get the seat back during a match. Names prove nothing.
+function isSeatOnline(seat) {
+  return !!seat?.socketId && io.sockets.sockets.has(seat.socketId);
+}
+
+function issueSeatToken(room, seatIdx) {
   const seat = room.seats[seatIdx];
-  if (!seat) return false;
-  // Disconnected player seats are not eligible (prevents SB/BB/turn from stalling on offline players).
-  if (seat.type === "player") {
-    const sid = seat.socketId;
-    const online = !!sid && io.sockets.sockets.has(sid);
-    if (!online) return false;
+  if (!seat.tokenNonce) seat.tokenNonce = createSeatNonce();
+  return signSeatToken(room.seatSecret, { roomId: room.roomId, seatIdx, nonce: seat.tokenNonce });
+}
+
+function sendSeatToken(room, sock, seatIdx) {
+  sock.emit("seat_token", { roomId: room.roomId, seatIdx, token: issueSeatToken(room, seatIdx) });
+}
+
+// The player seat a token proves ownership of, or null.
+function seatForToken(room, token) {
+  const claim = readSeatToken(room.seatSecret, token);
+  if (!claim || claim.roomId !== room.roomId) return null;
+  const seat = room.seats[claim.seatIdx];
+  if (!seat || seat.type !== "player" || !seat.tokenNonce || seat.tokenNonce !== claim.nonce) return null;
+  return claim.seatIdx;
+}
+
+// Private room passwords: failed guesses count per address and room, and a run of them is refused for a minute.
+const passwordThrottle = createPasswordThrottle();
+
+/** @returns {Promise<"ok"|"missing"|"wrong"|"locked">} */
+async function tryRoomPassword(room, password, address) {
+  const pw = cleanRoomPassword(password);
+  if (!pw) return "missing";
+  const key = `${address || "?"}|${room.roomId}`;
+  if (passwordThrottle.isLocked(key)) return "locked";
+  if (await checkRoomPassword(room.passwordHash, pw)) {
+    passwordThrottle.succeed(key);
+    return "ok";
   }
-  const p = getPlayer(room, seatIdx);
-  if (!p) return false;
-  const sitOut = Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum;
-  return !p.isBankrupt && p.chips > 0 && !sitOut;
+  passwordThrottle.fail(key);
+  return "wrong";
 }
 
-function getInHandSeats(room) {
-  const out = [];
-  for (let i = 0; i < SEATS; i++) {
-    const seat = room.seats[i];
-    if (!seat) continue;
-    if (seat.type === "player") {
-      const sid = seat.socketId;
-      const online = !!sid && io.sockets.sockets.has(sid);
-      if (!online) continue;
-    }
-    const p = getPlayer(room, i);
-    if (!p) continue;
-    const sitOut = Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum;
-    if (!p.isFolded && !p.isBankrupt && !sitOut) out.push(i);
+function logRejectedSeatClaim(room, sock, what) {
+  console.warn(`[seat] rejected ${what} in room ${room.roomId} from socket ${sock.id} (${sock.handshake?.address || "?"}): bad seat token`);
+}
+
+// --- Chat ---
+// Mutes follow the clientId so a refresh doesn't lift them.
+function chatIdentity(sock) {
+  return sock?.data?.clientId || sock?.id || null;
+}
+
+function isChatMuted(room, sock) {
+  const id = chatIdentity(sock);
+  return !!id && room.chatMuted.includes(id);
+}
+
+// Plain text only: drop control characters, fold whitespace, cap the length.
+// Clients render it as text (never as HTML).
+function cleanChatText(text) {
+  return String(text ?? "")
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, CHAT_MAX_LEN);
+}
+
+// Sliding-window limit per socket; returns false when the socket is over it.
+function takeChatSlot(sock) {
+  const ts = now();
+  const recent = (sock.data.chatTimes || []).filter((t) => ts - t < CHAT_RATE_WINDOW_MS);
+  if (recent.length >= CHAT_RATE_COUNT) {
+    sock.data.chatTimes = recent;
+    return false;
   }
-  return out;
+  recent.push(ts);
+  sock.data.chatTimes = recent;
+  return true;
+}
+
+// --- Spectators ---
+// Anyone in the room without a seat. They sit in their own socket.io room so the game feed can be
+// delayed for them; they never get private_hand (that only goes to a seat's own socket).
+function spectatorChannel(room) {
+  return `${room.roomId}#spectators`;
 }
 
-function getActableSeats(room) {
+function getSpectators(room) {
+  const ids = io.sockets.adapter.rooms.get(spectatorChannel(room));
+  if (!ids) return [];
   const out = [];
-  for (let i = 0; i < SEATS; i++) {
-    const seat = room.seats[i];
-    if (!seat) continue;
-    if (seat.type === "player") {
-      const sid = seat.socketId;
-      const online = !!sid && io.sockets.sockets.has(sid);
-      if (!online) continue;
-    }
-    const p = getPlayer(room, i);
-    if (!p) continue;
-    const sitOut = Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum;
-    if (!p.isFolded && !p.isBankrupt && p.chips > 0 && !sitOut) out.push(i);
+  for (const sid of ids) {
+    const s = io.sockets.sockets.get(sid);
+    if (s) out.push({ socketId: sid, name: s.data.name || "Player" });
   }
   return out;
 }
 
-function nextSeatClockwise(room, fromSeatIdx, predicate) {
-  for (let step = 1; step <= SEATS; step++) {
-    const idx = (fromSeatIdx + step) % SEATS;
-    if (predicate(idx)) return idx;
+// Game feed (state, actions, activity, results). Seated players get it live; with a delay set,
+// spectators get the same events later and without the action clock (it would be stale).
+function emitGame(room, event, payload) {
+  const delayMs = (Number(room.spectatorDelaySeconds) || 0) * 1000;
+  if (delayMs <= 0) {
+    io.to(room.roomId).emit(event, payload);
+    return;
   }
-  return null;
+  const channel = spectatorChannel(room);
+  io.to(room.roomId).except(channel).emit(event, payload);
+  const delayed = delayedCopy(event, payload);
+  setTimeout(() => io.to(channel).emit(event, delayed), delayMs);
 }
 
-function getActiveOffset(room, startSeatIdx, offset) {
-  let count = 0;
-  let idx = startSeatIdx;
-  let loops = 0;
-  const maxLoops = SEATS * 3;
-  while (count < offset && loops < maxLoops) {
-    idx = (idx + 1) % SEATS;
-    if (isSeatEligible(room, idx)) count++;
-    loops++;
+// What a delayed spectator may see of the activity log: nothing from the hand in progress.
+function getSpectatorActivity(room) {
+  const items = Array.isArray(room.activityLog) ? room.activityLog : [];
+  if (!room.spectatorDelaySeconds || room.round === "HAND_OVER" || room.round === "WAITING") return items;
+  let cut = items.length;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (items[i].startsWith("--- HAND ")) { cut = i; break; }
   }
-  return idx;
+  return items.slice(0, cut);
+}
+
+function isSeatOccupied(room, seatIdx) {
+  return !!room.seats[seatIdx];
+}
+
+// A live hand that is all-in, or being run out, has no decisions left: leaving can't fold it.
+function isHandSettled(room, p) {
+  return !isBetweenHands(room) && !p.isFolded && (p.chips === 0 || !!room.runOut);
+}
+
+// No hand in progress (before the first deal or after a hand is over).
+function isBetweenHands(room) {
+  return !room.currentHand && (room.round === "HAND_OVER" || room.round === "WAITING");
 }
 
 function broadcastRoom(room) {
@@ -306,16 +709,16 @@ function broadcastActivity(room, msg) {
     room.activityLog.push(String(msg));
     if (room.activityLog.length > 250) room.activityLog.splice(0, room.activityLog.length - 250);
   } catch (_) {}
-  io.to(room.roomId).emit("activity", msg);
+  emitGame(room, "activity", msg);
 }
 
 function broadcastPlayerAction(room, seatIdx, text) {
-  io.to(room.roomId).emit("player_action", { seatIdx, text });
+  emitGame(room, "player_action", { seatIdx, text });
 }
 
 function broadcastGame(room) {
   const state = getPublicGameState(room);
-  io.to(room.roomId).emit("game_state", state);
+  emitGame(room, "game_state", state);
 }
 
 function getPublicGameState(room) {
@@ -333,581 +736,747 @@ function getPublicGameState(room) {
       currentBet: p.currentBet,
       isFolded: p.isFolded,
       isBankrupt: p.isBankrupt,
+      sittingOut: Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum,
+      missedBlinds: { sb: !!p.missedBlinds?.sb, bb: !!p.missedBlinds?.bb },
+      straddle: !!p.straddle,
+      shownCards: p.shown ? p.hand : null, // hole cards turned face up (all-in run-out, showdown, shown by choice)
+      autoMuck: p.autoMuck !== false,
+      timeBankMs: Number.isFinite(p.timeBankMs) ? p.timeBankMs : 0,
+      eliminated: !!p.eliminated,
+      place: Number.isInteger(p.place) ? p.place : null,
       totalBuyIn: Number.isFinite(p.totalBuyIn) ? p.totalBuyIn : (Number.isFinite(room.initialChips) ? room.initialChips : 1000)
     });
   }
   return {
     roomId: room.roomId,
     started: room.started,
-    settings: { totalHands: room.totalHands, initialChips: room.initialChips, smallBlind: room.smallBlind, bigBlind: room.bigBlind },
+    settings: {
+      totalHands: room.totalHands,
+      initialChips: room.initialChips,
+      smallBlind: room.smallBlind,
+      bigBlind: room.bigBlind,
+      turnSeconds: room.turnSeconds,
+      timeBankSeconds: room.timeBankSeconds,
+      format: room.format,
+      game: room.game,
+      holeCards: getGame(room.game).holeCards,
+      ...getGameBetting(room)
+    },
+    tournament: getTournamentState(room),
     handNum: room.handNum,
     dealerSeatIdx: room.dealerSeatIdx,
     sbSeatIdx: room.sbSeatIdx,
     bbSeatIdx: room.bbSeatIdx,
+    straddleSeatIdx: room.straddleSeatIdx,
     activeSeatIdx: room.activeSeatIdx,
     pot: room.pot,
     round: room.round,
     communityCards: room.communityCards,
     currentMaxBet: room.currentMaxBet,
     minRaise: room.minRaise,
+    legal: getActiveLegal(room), // raise limits for the player to act (pot and fixed limit: the server computes them)
+    ante: room.ante,
+    anteMode: room.anteMode,
+    runItTimes: room.runItTimes,
+    runItVote: getRunItVoteState(room), // players still deciding how many times to run the board
+    equity: room.equity, // all-in run-out: { board, exact, seats: [{seatIdx, win, tie, equity}] } after each street
+    turnClock: getTurnClockState(room),
+    fairness: getFairnessState(room),
     players
   };
 }
 
-// --- Cards / Hand evaluation (ported from your frontend) ---
-const RANKS = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
-const SUITS = ["hearts", "diamonds", "clubs", "spades"];
+// settings.betting, plus the bet sizes and this street's bet count under fixed limit
+function getGameBetting(room) {
+  const { structure, smallBet, bigBet, raiseCap } = getBettingStructure(room);
+  if (structure !== "fixed-limit") return { betting: structure };
+  return { betting: structure, smallBet, bigBet, raiseCap, streetBets: room.streetBets || 0 };
+}
+
+function getActiveLegal(room) {
+  if (!Number.isInteger(room.activeSeatIdx) || isBetweenHands(room)) return null;
+  return getLegalActionsFor(room, room.activeSeatIdx);
+}
+
+function emitTurn(room) {
+  emitGame(room, "turn", {
+    activeSeatIdx: room.activeSeatIdx,
+    turnNonce: room.turnNonce,
+    clock: getTurnClockState(room),
+    legal: getActiveLegal(room)
+  });
+}
 
-function freshDeck() {
-  const deck = [];
-  for (const s of SUITS) for (const r of RANKS) deck.push({ s, r, v: RANKS.indexOf(r) });
-  for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [deck[i], deck[j]] = [deck[j], deck[i]];
+// --- Game mechanics (lib/engine.js) ---
+// The engine deals and runs hands; here its events become socket messages, and tournaments,
+// persistence and AI seats hook in.
+const engine = createEngine({
+  now,
+  isConnected: isSeatOnline,
+  shuffle: shuffleForHand,
+  maxTimeouts: MAX_TIMEOUTS
+});
+const {
+  getPlayer,
+  getInHandSeats,
+  nextSeatClockwise,
+  ensurePlayersMap,
+  removeIneligibleFromPending,
+  chooseNextActor,
+  canAdvanceStreet,
+  startHand,
+  proceedToNextStreet,
+  finishHand,
+  requestTurn,
+  getTurnClockState,
+  getRunItVoteState,
+  voteRunIt,
+  showCards,
+  getLegalActionsFor,
+  getBettingStructure,
+  stopTurnClock,
+  handleAction,
+  buildAiView
+} = engine;
+
+engine.on("activity", broadcastActivity);
+engine.on("player_action", broadcastPlayerAction);
+engine.on("state", broadcastGame);
+engine.on("turn", emitTurn);
+engine.on("ai_turn", aiAct);
+engine.on("private_hand", (room, seatIdx, hand) => {
+  const seat = room.seats[seatIdx];
+  if (seat?.type === "player" && seat.socketId) io.to(seat.socketId).emit("private_hand", { seatIdx, hand });
+});
+engine.on("before_deal", (room, handNum) => {
+  if (isTournament(room)) applyTournamentLevel(room, handNum);
+});
+engine.on("not_enough_players", (room) => {
+  // a tournament table waits for players moved in by the coordinator, trying again after the usual pause
+  if (room.mttId) {
+    scheduleMttDeal(room);
+    return;
   }
-  return deck;
+  // End match early (e.g. only one player has chips). Show summary instead of getting stuck in WAITING.
+  void emitMatchOverAndEnterClosing(room, "Not enough players with chips to continue.");
+});
+engine.on("run_it_prompt", (room, vote) => emitGame(room, "run_it_prompt", vote));
+engine.on("settle", (room) => {
+  if (isTournament(room)) eliminateBusted(room);
+});
+engine.on("hand_over", (room, result) => {
+  const fairness = closeFairness(room);
+  if (room.currentHand) room.currentHand.fairness = fairness;
+  emitGame(room, "hand_over", { ...result, fairness: fairness && hiddenFairness(fairness) });
+});
+// hand end is a safe point to snapshot the room
+engine.on("hand_record", persistRoom);
+engine.on("hand_finished", afterHandOver);
+
+// --- Provably fair shuffle (commit–reveal, lib/fairShuffle.js) ---
+// room.fairness holds the seed for the next (or current) hand: its hash is in game_state from the
+// moment it is created and client seeds are taken until the deal. The seed is kept with the hand record
+// and only published when the match is over (match_over.fairness, the verify route): with it anyone can
+// rebuild the whole deal, folded and mucked hands included, and those stay hidden while the match runs.
+function createFairness() {
+  const serverSeed = createServerSeed();
+  return { serverSeed, serverSeedHash: hashServerSeed(serverSeed), clientSeeds: new Map(), handNum: null };
 }
 
-function combinations(arr, k) {
-  const results = [];
-  const combine = (start, combo) => {
-    if (combo.length === k) {
-      results.push([...combo]);
-      return;
-    }
-    for (let i = start; i < arr.length; i++) {
-      combo.push(arr[i]);
-      combine(i + 1, combo);
-      combo.pop();
-    }
+function fairClientSeeds(fairness) {
+  return [...fairness.clientSeeds].map(([seatIdx, seed]) => ({ seatIdx, seed }));
+}
+
+function shuffleForHand(deck, room) {
+  if (!room.fairness || room.fairness.handNum !== null) room.fairness = createFairness();
+  // dealt: no more client seeds for this one
+  room.fairness.handNum = room.handNum;
+  room.fairness.game = room.game;
+  return shuffleDeck(deck, { serverSeed: room.fairness.serverSeed, clientSeeds: fairClientSeeds(room.fairness), handNum: room.handNum });
+}
+
+// Closes the seed of the hand just played (for its record) and commits to a new one for the next hand.
+function closeFairness(room) {
+  const f = room.fairness;
+  room.fairness = createFairness();
+  if (!f || f.handNum === null) return null;
+  return {
+    handNum: f.handNum,
+    game: f.game,
+    serverSeed: f.serverSeed,
+    serverSeedHash: f.serverSeedHash,
+    clientSeeds: fairClientSeeds(f),
+    verifyUrl: `/api/rooms/${encodeURIComponent(room.roomId)}/hands/${f.handNum}/verify`
   };
-  combine(0, []);
-  return results;
-}
-
-function evaluate5(cards) {
-  const sorted = [...cards].sort((a, b) => b.v - a.v);
-  const ranks = sorted.map((c) => c.v);
-  const suits = sorted.map((c) => c.s);
-  const isFlush = suits.every((s) => s === suits[0]);
-
-  // straight (with wheel)
-  let isStraight = false;
-  let straightMax = 0;
-  const uniqueRanks = [...new Set(ranks)];
-  if (uniqueRanks.length === 5) {
-    if (ranks[0] - ranks[4] === 4) {
-      isStraight = true;
-      straightMax = ranks[0];
-    } else if (ranks[0] === 14 && ranks[1] === 5 && ranks[4] === 2) {
-      isStraight = true;
-      straightMax = 5;
-    }
-  }
+}
 
-  const counts = {};
-  ranks.forEach((r) => (counts[r] = (counts[r] || 0) + 1));
-  const freq = Object.values(counts).sort((a, b) => b - a);
-  const rankByFreq = Object.keys(counts)
-    .map(Number)
-    .sort((a, b) => {
-      if (counts[b] !== counts[a]) return counts[b] - counts[a];
-      return b - a;
-    });
+// A played hand's seeds as shown during the match: everything but the server seed.
+function hiddenFairness(f) {
+  const { serverSeed: _secret, ...rest } = f;
+  return rest;
+}
 
-  if (isFlush && isStraight) {
-    if (straightMax === 14) return { rank: 10, value: [14], desc: "Royal Flush" };
-    return { rank: 9, value: [straightMax], desc: "Straight Flush" };
-  }
-  if (freq[0] === 4) return { rank: 8, value: [rankByFreq[0], rankByFreq[1]], desc: "Four of a Kind" };
-  if (freq[0] === 3 && freq[1] === 2) return { rank: 7, value: [rankByFreq[0], rankByFreq[1]], desc: "Full House" };
-  if (isFlush) return { rank: 6, value: ranks, desc: "Flush" };
-  if (isStraight) return { rank: 5, value: [straightMax], desc: "Straight" };
-  if (freq[0] === 3) return { rank: 4, value: [rankByFreq[0], rankByFreq[1], rankByFreq[2]], desc: "Three of a Kind" };
-  if (freq[0] === 2 && freq[1] === 2) return { rank: 3, value: [rankByFreq[0], rankByFreq[1], rankByFreq[2]], desc: "Two Pair" };
-  if (freq[0] === 2) return { rank: 2, value: [rankByFreq[0], rankByFreq[1], rankByFreq[2], rankByFreq[3]], desc: "One Pair" };
-  return { rank: 1, value: ranks, desc: "High Card" };
-}
-
-function compareHands(h1, h2) {
-  if (h1.rank !== h2.rank) return h1.rank - h2.rank;
-  for (let i = 0; i < h1.value.length; i++) {
-    if (h1.value[i] !== h2.value[i]) return h1.value[i] - h2.value[i];
-  }
-  return 0;
+function isFairnessRevealed(room) {
+  return !!room.closing;
 }
 
-function getBestHand(sevenCards) {
-  const combos = combinations(sevenCards, 5);
-  let best = null;
-  for (const combo of combos) {
-    const evalResult = evaluate5(combo);
-    if (!best || compareHands(evalResult, best) > 0) best = evalResult;
-  }
-  return best;
+function getFairnessState(room) {
+  const f = room.fairness;
+  if (!f) return null;
+  return {
+    handNum: f.handNum ?? room.handNum + 1,
+    serverSeedHash: f.serverSeedHash,
+    clientSeeds: fairClientSeeds(f),
+    locked: f.handNum !== null
+  };
 }
 
-// --- Game mechanics ---
-function resetHand(room) {
-  room.handNum += 1;
-  room.pot = 0;
-  room.round = "PRE-FLOP";
-  room.communityCards = [];
-  room.deck = freshDeck();
-  room.currentMaxBet = 0;
-  room.pendingActionSeats = new Set();
-  room.turnNonce += 1;
+// --- Hand history ---
+function getHandRecord(room, handNum) {
+  return room.handHistory.find((h) => h.handNum === handNum && Array.isArray(h.actions)) || null;
+}
 
-  // Reset players
-  for (const [seatIdx, p] of room.players.entries()) {
-    p.hand = [];
-    p.currentBet = 0;
-    const sitOut = Number.isFinite(p.sitOutUntilHand) && p.sitOutUntilHand > room.handNum;
-    const seat = room.seats[seatIdx];
-    const disconnected =
-      seat &&
-      seat.type === "player" &&
-      (!seat.socketId || !io.sockets.sockets.has(seat.socketId));
-    p.isFolded = p.chips <= 0 || sitOut || disconnected;
-    p.isBankrupt = p.chips <= 0;
+// --- Tournament (sit-and-go) ---
+// Blinds/antes follow the host's level structure; busted players who can't rebuy are out and get a
+// finishing place; the last player left wins and match_over pays out by place.
+function isTournament(room) {
+  return room.format === "tournament" && !!room.tournament;
+}
+
+function startTournament(room, options) {
+  room.tournament = {
+    config: normalizeTournamentConfig(options, room.initialChips),
+    startedAt: now(),
+    levelIdx: -1, // nothing dealt yet; level 1 is announced with the first hand
+    entrants: room.seats.filter(Boolean).length,
+    finishes: [] // [{seatIdx, name, place, handNum}] in order of elimination
+  };
+}
+
+// Busted players may rebuy through level `rebuyUntilLevel` (0 = freezeout).
+function tournamentRebuysOpen(room) {
+  const t = room.tournament;
+  return Math.max(0, t.levelIdx) + 1 <= t.config.rebuyUntilLevel;
+}
+
+function tournamentPlayersLeft(room) {
+  const mtt = getMttForRoom(room);
+  if (mtt) return mtt.entrants.filter((e) => !e.eliminated).length;
+  return [...room.players.values()].filter((p) => !p.eliminated).length;
+}
+
+// Sets the blinds/ante for the hand about to be dealt, announcing a new level.
+function applyTournamentLevel(room, handNum) {
+  const t = room.tournament;
+  const idx = levelIndexAt(t.config, { handNum, elapsedMs: now() - t.startedAt });
+  const lvl = t.config.levels[idx];
+  room.smallBlind = lvl.sb;
+  room.bigBlind = lvl.bb;
+  room.ante = lvl.ante;
+  if (idx === t.levelIdx) return;
+  const first = t.levelIdx < 0;
+  const wasOpen = tournamentRebuysOpen(room);
+  t.levelIdx = idx;
+  broadcastActivity(room, `Level ${idx + 1}: blinds $${lvl.sb}/$${lvl.bb}${lvl.ante ? `, ante $${lvl.ante}` : ""}.`);
+  if (!first && wasOpen && !tournamentRebuysOpen(room)) {
+    broadcastActivity(room, "Rebuys are closed.");
+    eliminateBusted(room);
   }
 }
 
-function ensurePlayersMap(room) {
-  for (let i = 0; i < SEATS; i++) {
-    const seat = room.seats[i];
-    if (!seat) continue;
-    if (!room.players.has(i)) {
-      room.players.set(i, {
-        seatIdx: i,
-        chips: Number.isFinite(room.initialChips) ? room.initialChips : 1000,
-        currentBet: 0,
-        isFolded: false,
-        isBankrupt: false,
-        hand: [],
-        totalBuyIn: Number.isFinite(room.initialChips) ? room.initialChips : 1000,
-        pendingRebuy: 0,
-        sitOutUntilHand: 0
-      });
-    }
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${["th", "st", "nd", "rd"][n % 10] || "th"}`;
+}
+
+// Busted players who can't come back are out: AI seats right away, humans once rebuys close.
+// Players knocked out in the same hand are placed by the stack they started it with.
+function eliminateBusted(room) {
+  const t = room.tournament;
+  const rebuysOpen = tournamentRebuysOpen(room);
+  const hand = room.currentHand || room.handHistory[room.handHistory.length - 1];
+  const busted = [];
+  for (const [seatIdx, p] of room.players) {
+    if (p.eliminated || p.chips > 0 || p.pendingRebuy > 0) continue;
+    if (rebuysOpen && room.seats[seatIdx]?.type === "player") continue;
+    const startStack = hand?.seats?.find((s) => s.seatIdx === seatIdx)?.stack || 0;
+    busted.push({ seatIdx, startStack });
   }
-  // Backfill fields for older rooms/players
-  for (const p of room.players.values()) {
-    if (!Number.isFinite(p.totalBuyIn)) p.totalBuyIn = Number.isFinite(room.initialChips) ? room.initialChips : 1000;
-    if (!Number.isFinite(p.pendingRebuy)) p.pendingRebuy = 0;
-    if (!Number.isFinite(p.sitOutUntilHand)) p.sitOutUntilHand = 0;
+  if (!busted.length) return;
+
+  const left = tournamentPlayersLeft(room) - busted.length;
+  for (const { seatIdx, place } of placeBusted(busted, left)) {
+    const p = getPlayer(room, seatIdx);
+    const name = room.seats[seatIdx]?.name || `Seat-${seatIdx}`;
+    p.eliminated = true;
+    p.place = place;
+    t.finishes.push({ seatIdx, name, place, handNum: room.handNum });
+    noteMttFinish(room, seatIdx, place);
+    broadcastActivity(room, `${name} finishes in ${ordinal(place)} place.`);
   }
-  // Remove players for emptied seats
-  for (const seatIdx of [...room.players.keys()]) {
-    if (!room.seats[seatIdx]) room.players.delete(seatIdx);
+  if (left === 1) {
+    // in a multi-table tournament the last player may be sitting at another table
+    const mtt = getMttForRoom(room);
+    const last = mtt && mtt.entrants.find((e) => !e.eliminated);
+    const home = (last && rooms.get(last.roomId)) || room;
+    const [seatIdx, p] = [...home.players].find(([, pl]) => !pl.eliminated);
+    const name = home.seats[seatIdx]?.name || `Seat-${seatIdx}`;
+    p.place = 1;
+    home.tournament.finishes.push({ seatIdx, name, place: 1, handNum: home.handNum });
+    noteMttFinish(home, seatIdx, 1);
+    broadcastActivity(home, `${name} wins the tournament!`);
   }
 }
 
-function applyPendingRebuys(room) {
+// Prize pool = every buy-in and rebuy; split by the host's table (or the default for the field size).
+function getPayouts(room) {
+  const mtt = getMttForRoom(room);
+  if (mtt) return getMttPayouts(mtt);
+  const t = room.tournament;
+  let pool = 0;
+  for (const p of room.players.values()) pool += Number.isFinite(p.totalBuyIn) ? p.totalBuyIn : room.initialChips;
+  return payoutTable(t.entrants, pool, t.config.payouts);
+}
+
+function buildTournamentStandings(room) {
+  const mtt = getMttForRoom(room);
+  if (mtt) return buildMttStandings(mtt);
+  const out = [];
   for (let i = 0; i < SEATS; i++) {
     const seat = room.seats[i];
-    if (!seat || seat.type !== "player") continue;
     const p = getPlayer(room, i);
-    if (!p) continue;
-    const pend = Number(p.pendingRebuy || 0);
-    if (!Number.isFinite(pend) || pend <= 0) continue;
-    p.chips += pend;
-    p.pendingRebuy = 0;
-    p.isBankrupt = false;
-    p.isFolded = false;
-    p.currentBet = 0;
-    p.hand = [];
-    broadcastActivity(room, `${seat.name} rebuys $${pend}.`);
+    if (!seat || !p) continue;
+    out.push({
+      seatIdx: i,
+      type: seat.type,
+      name: seat.name,
+      place: p.eliminated || p.place === 1 ? p.place : null,
+      chips: p.chips,
+      buyIn: Number.isFinite(p.totalBuyIn) ? p.totalBuyIn : room.initialChips
+    });
   }
+  return rankStandings(out, getPayouts(room));
 }
 
-function postBlind(room, seatIdx, amount) {
-  const p = getPlayer(room, seatIdx);
-  if (!p || p.isBankrupt) return 0;
-  const amt = Number(amount);
-  if (!Number.isFinite(amt) || amt <= 0) return 0;
-  const real = Math.min(amt, p.chips);
-  p.chips -= real;
-  p.currentBet += real;
-  room.pot += real;
-  room.currentMaxBet = Math.max(room.currentMaxBet, p.currentBet);
-  return real;
-}
-
-function dealHoleCards(room) {
-  const eligibleSeats = [];
-  for (let i = 0; i < SEATS; i++) {
-    const seatIdx = (room.dealerSeatIdx + 1 + i) % SEATS;
-    if (isSeatEligible(room, seatIdx)) eligibleSeats.push(seatIdx);
-  }
-  for (let round = 0; round < 2; round++) {
-    for (const seatIdx of eligibleSeats) {
-      const p = getPlayer(room, seatIdx);
-      if (!p) continue;
-      const card = room.deck.pop();
-      p.hand.push(card);
-    }
+// Fills in places for players still in (by chips) and each row's prize / net.
+function rankStandings(out, payouts) {
+  // match ended with several players still in (e.g. the table emptied): rank them by chips
+  const stillIn = out.filter((r) => r.place === null).sort((a, b) => b.chips - a.chips);
+  stillIn.forEach((r, i) => { r.place = i + 1; });
+  for (const r of out) {
+    r.prize = payouts.find((x) => x.place === r.place)?.amount || 0;
+    r.net = r.prize - r.buyIn;
   }
+  out.sort((a, b) => a.place - b.place);
+  return out;
 }
 
-function initPendingAction(room, startSeatIdx) {
-  const actable = getActableSeats(room);
-  room.pendingActionSeats = new Set(actable);
-  room.activeSeatIdx = startSeatIdx;
+function getTournamentState(room) {
+  if (!isTournament(room)) return null;
+  const t = room.tournament;
+  const cfg = t.config;
+  const idx = Math.max(0, t.levelIdx);
+  const next = nextLevelAt(cfg, idx);
+  return {
+    level: idx + 1,
+    levels: cfg.levels.length,
+    smallBlind: cfg.levels[idx].sb,
+    bigBlind: cfg.levels[idx].bb,
+    ante: cfg.levels[idx].ante,
+    levelBy: cfg.levelBy,
+    levelLength: cfg.levelLength,
+    nextLevel: next === null ? null : cfg.levels[idx + 1],
+    nextLevelHand: cfg.levelBy === "hands" ? next : null, // first hand of the next level
+    nextLevelAt: cfg.levelBy === "time" && next !== null ? t.startedAt + next : null, // epoch ms
+    rebuysOpen: tournamentRebuysOpen(room),
+    rebuyUntilLevel: cfg.rebuyUntilLevel,
+    entrants: t.entrants,
+    playersLeft: tournamentPlayersLeft(room),
+    finishes: t.finishes,
+    payouts: getPayouts(room),
+    serverNow: now()
+  };
 }
 
-function removeIneligibleFromPending(room) {
-  for (const seatIdx of [...room.pendingActionSeats]) {
-    const p = getPlayer(room, seatIdx);
-    if (!p || p.isFolded || p.isBankrupt || p.chips <= 0) room.pendingActionSeats.delete(seatIdx);
-  }
+// Why a busted player can't rebuy right now, or null.
+function rebuyBlockedReason(room, p) {
+  if (!isTournament(room)) return null;
+  if (p.eliminated) return "You are out of the tournament.";
+  if (!tournamentRebuysOpen(room)) return "Rebuys are closed.";
+  return null;
 }
 
-function chooseNextActor(room, fromSeatIdx) {
-  removeIneligibleFromPending(room);
-  if (room.pendingActionSeats.size === 0) return null;
-  const nxt = nextSeatClockwise(room, fromSeatIdx, (idx) => room.pendingActionSeats.has(idx));
-  return nxt;
+// --- Multi-table tournaments ---
+// A coordinator over ordinary tournament rooms, one per table: registration, random seating, one blind
+// clock for every table (time levels counted from the same start), moving players to keep tables even
+// and breaking tables down to a final table as players bust. Tables deal on their own; players reach
+// their reserved seat through join_room with the seat token the lobby gives them. Freezeout only.
+function mttChannel(mtt) {
+  return `mtt:${mtt.id}`;
 }
 
-function startHand(room) {
-  ensurePlayersMap(room);
-  applyPendingRebuys(room);
+function getMttForRoom(room) {
+  return room.mttId ? mtts.get(room.mttId) || null : null;
+}
 
-  const activeEligible = [];
-  for (let i = 0; i < SEATS; i++) if (isSeatEligible(room, i)) activeEligible.push(i);
-  if (activeEligible.length < 2) {
-    // End match early (e.g. only one player has chips). Show summary instead of getting stuck in WAITING.
-    void emitMatchOverAndEnterClosing(room, "Not enough players with chips to continue.");
-    return;
-  }
+function tableLabel(room) {
+  return `Table ${room.roomId.slice(room.roomId.lastIndexOf("-t") + 2)}`;
+}
 
-  resetHand(room); // increments handNum; only do this once we're sure the hand will actually start
-  broadcastActivity(room, `--- HAND ${room.handNum} / ${room.totalHands} ---`);
+function mttEntrantAt(mtt, roomId, seatIdx) {
+  return mtt.entrants.find((e) => e.roomId === roomId && e.seatIdx === seatIdx) || null;
+}
 
-  const sbSeat = getActiveOffset(room, room.dealerSeatIdx, 1);
-  const bbSeat = getActiveOffset(room, room.dealerSeatIdx, 2);
-  const utgSeat = getActiveOffset(room, room.dealerSeatIdx, 3);
-  room.sbSeatIdx = sbSeat;
-  room.bbSeatIdx = bbSeat;
+function mttEntrantFor(mtt, clientId) {
+  return (clientId && mtt.entrants.find((e) => e.clientId === clientId)) || null;
+}
 
-  // blinds
-  postBlind(room, sbSeat, room.smallBlind);
-  postBlind(room, bbSeat, room.bigBlind);
+function seatedCount(room) {
+  let n = 0;
+  for (let i = 0; i < SEATS; i++) if (room.seats[i] && !getPlayer(room, i)?.eliminated) n += 1;
+  return n;
+}
 
-  broadcastActivity(room, `${room.seats[sbSeat].name} posts SB $${room.smallBlind}`);
-  broadcastActivity(room, `${room.seats[bbSeat].name} posts BB $${room.bigBlind}`);
+function createMtt(opts, directorClientId) {
+  let id;
+  do id = Math.random().toString(36).slice(2, 8); while (mtts.has(id));
+  const initialChips = Math.max(1000, Number(opts.initialChips || 1000));
+  const ts = Number(opts.turnSeconds ?? 30);
+  const tb = Number(opts.timeBankSeconds ?? 60);
+  const size = Math.floor(Number(opts.tableSize || SEATS));
+  const mtt = {
+    id,
+    name: String(opts.name || "").trim().slice(0, 40) || `Tournament ${id}`,
+    createdAt: now(),
+    directorClientId,
+    status: "registering", // registering | running | finished
+    initialChips: Number.isFinite(initialChips) ? initialChips : 1000,
+    // always on a clock: one idle player would otherwise hold up balancing for the whole field
+    turnSeconds: Number.isFinite(ts) ? Math.max(5, Math.min(120, Math.floor(ts))) : 30,
+    timeBankSeconds: Number.isFinite(tb) ? Math.max(0, Math.min(300, Math.floor(tb))) : 60,
+    tableSize: Number.isFinite(size) ? Math.max(4, Math.min(SEATS, size)) : SEATS,
+    // the shared clock only works with time levels; levelLength is in minutes
+    config: normalizeTournamentConfig({ ...opts, levelBy: "time", rebuyUntilLevel: 0 }, initialChips),
+    startedAt: null,
+    finishedAt: null,
+    entrants: [], // [{id, name, type, clientId, socketId, roomId, seatIdx, place, eliminated}]
+    tables: [], // roomIds of open tables
+    tableSeq: 0,
+    finalTable: false
+  };
+  mtts.set(id, mtt);
+  return mtt;
+}
 
-  // deal
-  dealHoleCards(room);
+function createMttTable(mtt) {
+  mtt.tableSeq += 1;
+  const room = makeRoom(`${mtt.id}-t${mtt.tableSeq}`);
+  room.mttId = mtt.id;
+  room.initialChips = mtt.initialChips;
+  room.turnSeconds = mtt.turnSeconds;
+  room.timeBankSeconds = mtt.timeBankSeconds;
+  room.format = "tournament";
+  room.dealInAway = true;
+  room.tournament = { config: mtt.config, startedAt: mtt.startedAt, levelIdx: -1, entrants: mtt.entrants.length, finishes: [] };
+  room.started = true;
+  rooms.set(room.roomId, room);
+  mtt.tables.push(room.roomId);
+  return room;
+}
 
-  // send private cards
-  for (let i = 0; i < SEATS; i++) {
-    const seat = room.seats[i];
-    if (!seat || seat.type !== "player") continue;
-    const p = getPlayer(room, i);
-    if (!p) continue;
-    io.to(seat.socketId).emit("private_hand", { seatIdx: i, hand: p.hand });
-  }
+// A seat reserved for the entrant; humans claim it with join_room and the token from mttSeatToken.
+function seatMttEntrant(room, entrant, seatIdx) {
+  room.seats[seatIdx] = entrant.type === "ai"
+    ? { type: "ai", name: entrant.name, strategy: entrant.strategy || DEFAULT_AI_STRATEGY }
+    : { type: "player", socketId: null, name: entrant.name, clientId: entrant.clientId, disconnectedAt: now(), decor: "none", tokenNonce: createSeatNonce() };
+  entrant.roomId = room.roomId;
+  entrant.seatIdx = seatIdx;
+}
 
-  // betting setup
-  room.currentMaxBet = Math.max(room.bigBlind, ...[...room.players.values()].map((p) => p.currentBet));
-  room.minRaise = room.bigBlind;
-  initPendingAction(room, utgSeat);
+function startMtt(mtt) {
+  mtt.status = "running";
+  mtt.startedAt = now();
+  const { tableCount, seats } = seatEntrants(mtt.entrants.map((e) => e.id), mtt.tableSize, SEATS);
+  const tables = Array.from({ length: tableCount }, () => createMttTable(mtt));
+  for (const { id, table, seatIdx } of seats) {
+    seatMttEntrant(tables[table], mtt.entrants.find((e) => e.id === id), seatIdx);
+  }
+  mtt.finalTable = tableCount === 1;
+  for (const room of tables) {
+    ensurePlayersMap(room);
+    broadcastActivity(room, `${mtt.name}: ${mtt.entrants.length} players at ${tableCount} table(s). This is ${tableLabel(room)}.`);
+    scheduleMttDeal(room);
+  }
+  for (const e of mtt.entrants) {
+    if (e.type === "player" && e.socketId) {
+      io.to(e.socketId).emit("mtt_seated", { mttId: mtt.id, roomId: e.roomId, seatIdx: e.seatIdx, seatToken: mttSeatToken(e) });
+    }
+  }
+  broadcastMtt(mtt);
+}
 
-  broadcastGame(room);
-  requestTurn(room);
+function scheduleMttDeal(room) {
+  if (room.mttDealTimer) return;
+  room.mttDealTimer = setTimeout(() => {
+    room.mttDealTimer = null;
+    if (room.closing || !rooms.has(room.roomId) || !isBetweenHands(room)) return;
+    startHand(room);
+  }, MTT_DEAL_DELAY_MS);
 }
 
-function canAdvanceStreet(room) {
-  removeIneligibleFromPending(room);
-  if (room.pendingActionSeats.size !== 0) return false;
-  return true;
+function noteMttFinish(room, seatIdx, place) {
+  const mtt = getMttForRoom(room);
+  const entrant = mtt && mttEntrantAt(mtt, room.roomId, seatIdx);
+  if (!entrant) return;
+  entrant.place = place;
+  entrant.eliminated = place > 1;
 }
 
-function dealCommunity(room, n) {
-  for (let i = 0; i < n; i++) {
-    room.communityCards.push(room.deck.pop());
+// Between-hands hook (called at the end of finishHand).
+function afterHandOver(room) {
+  const mtt = getMttForRoom(room);
+  if (!mtt || mtt.status !== "running") return;
+  clearMttEliminated(mtt, room);
+  if (tournamentPlayersLeft(room) <= 1) {
+    finishMtt(mtt);
+    return;
   }
+  rebalanceMtt(mtt);
+  if (rooms.has(room.roomId) && !room.closing) scheduleMttDeal(room);
+  broadcastMtt(mtt);
 }
 
-function proceedToNextStreet(room) {
-  // reset bets
-  for (const p of room.players.values()) p.currentBet = 0;
-  room.currentMaxBet = 0;
-
-  if (room.round === "PRE-FLOP") {
-    room.round = "FLOP";
-    dealCommunity(room, 3);
-  } else if (room.round === "FLOP") {
-    room.round = "TURN";
-    dealCommunity(room, 1);
-  } else if (room.round === "TURN") {
-    room.round = "RIVER";
-    dealCommunity(room, 1);
-  } else {
-    room.round = "SHOWDOWN";
+function finishMtt(mtt) {
+  mtt.status = "finished";
+  mtt.finishedAt = now();
+  for (const rid of mtt.tables) {
+    const room = rooms.get(rid);
+    if (!room || room.closing) continue;
+    clearTimeout(room.mttDealTimer);
+    room.mttDealTimer = null;
+    void emitMatchOverAndEnterClosing(room);
   }
+  broadcastMtt(mtt);
+}
 
-  if (room.round === "SHOWDOWN") {
-    finishHand(room);
-    return;
+// Busted players give up their seat (balancing needs it) and stay on as spectators.
+function clearMttEliminated(mtt, room) {
+  for (let i = 0; i < SEATS; i++) {
+    const seat = room.seats[i];
+    const p = getPlayer(room, i);
+    if (!seat || !p?.eliminated) continue;
+    const entrant = mttEntrantAt(mtt, room.roomId, i);
+    if (entrant) {
+      entrant.roomId = null;
+      entrant.seatIdx = null;
+    }
+    const sock = seat.socketId && io.sockets.sockets.get(seat.socketId);
+    if (sock) {
+      sock.data.seatIdx = null;
+      sock.join(spectatorChannel(room));
+      sock.emit("mtt_eliminated", { mttId: mtt.id, place: p.place });
+    }
+    room.seats[i] = null;
+    room.players.delete(i);
   }
-
-  // first to act postflop: seat after dealer
-  const first = getActiveOffset(room, room.dealerSeatIdx, 1);
-  initPendingAction(room, first);
-  broadcastGame(room);
-  requestTurn(room);
+  broadcastRoom(room);
 }
 
-function finishHand(room) {
-  // stop any pending AI timers
-  clearTimeout(room.aiTimer);
-  room.aiTimer = null;
-
-  // freeze betting loop
-  room.pendingActionSeats = new Set();
-  room.activeSeatIdx = null;
-
-  const inHand = getInHandSeats(room);
-  const showdownHands = inHand
-    .map((seatIdx) => {
-      const p = getPlayer(room, seatIdx);
-      const seat = room.seats[seatIdx];
-      const hand = Array.isArray(p?.hand) ? p.hand.slice(0, 2) : [];
-      return { seatIdx, name: seat?.name || `Seat-${seatIdx}`, hand };
-    })
-    .filter((x) => Array.isArray(x.hand) && x.hand.length >= 2);
-  if (inHand.length === 0) {
-    // This shouldn't normally happen; prefer awarding pot to last actor to avoid dead-end states.
-    const fallbackSeat = Number.isInteger(room.lastActorSeatIdx) ? room.lastActorSeatIdx : null;
-    const fallbackSeatValid =
-      fallbackSeat !== null &&
-      fallbackSeat !== undefined &&
-      room.seats[fallbackSeat] &&
-      getPlayer(room, fallbackSeat);
-
-    if (fallbackSeatValid) {
-      const wp = getPlayer(room, fallbackSeat);
-      wp.chips += room.pot;
-      const winnerName = room.seats[fallbackSeat].name;
-      broadcastActivity(room, `Game Over. ${winnerName} wins (fallback: no active players).`);
-      room.pot = 0;
-      room.round = "HAND_OVER";
-      io.to(room.roomId).emit("hand_over", {
-        handNum: room.handNum,
-        totalHands: room.totalHands,
-        winners: [{ seatIdx: fallbackSeat, name: winnerName }],
-        desc: "No active players (fallback)",
-        showdownHands: showdownHands
-      });
-      room.handHistory.push({ handNum: room.handNum, winners: [{ seatIdx: fallbackSeat, name: winnerName }], desc: "No active players (fallback)" });
-      broadcastGame(room);
-      return;
+function rebalanceMtt(mtt) {
+  const tables = mtt.tables.map((rid) => rooms.get(rid)).filter(Boolean);
+  const plan = planBalance(tables.map((r) => ({ id: r.roomId, count: seatedCount(r) })), mtt.tableSize);
+  const touched = new Set();
+  for (const { from, to } of plan.moves) {
+    const src = rooms.get(from);
+    const dst = rooms.get(to);
+    // players only leave a table between hands; the rest move when that table's hand is over
+    if (!src || !dst || !isBetweenHands(src)) continue;
+    moveMttEntrant(mtt, src, dst);
+    touched.add(src).add(dst);
+    if (isBetweenHands(dst)) scheduleMttDeal(dst);
+  }
+  for (const rid of plan.breakTables) {
+    const room = rooms.get(rid);
+    if (room && seatedCount(room) === 0) {
+      touched.delete(room);
+      closeMttTable(mtt, room);
     }
-
-    broadcastActivity(room, "Hand ended (no active players).");
-    room.pot = 0;
-    room.round = "HAND_OVER";
-    io.to(room.roomId).emit("hand_over", { handNum: room.handNum, totalHands: room.totalHands, winners: [], desc: "No active players" });
-    room.handHistory.push({ handNum: room.handNum, winners: [], desc: "No active players" });
-    broadcastGame(room);
-    return;
   }
-  if (inHand.length === 1) {
-    const winnerSeat = inHand[0];
-    const wp = getPlayer(room, winnerSeat);
-    wp.chips += room.pot;
-    const winnerName = room.seats[winnerSeat].name;
-    broadcastActivity(room, `Game Over. ${winnerName} wins (all others folded)!`);
-    room.pot = 0;
-    room.round = "HAND_OVER";
-    io.to(room.roomId).emit("hand_over", {
-      handNum: room.handNum,
-      totalHands: room.totalHands,
-      winners: [{ seatIdx: winnerSeat, name: winnerName }],
-      desc: "All others folded",
-      showdownHands: showdownHands
-    });
-    room.handHistory.push({ handNum: room.handNum, winners: [{ seatIdx: winnerSeat, name: winnerName }], desc: "All others folded" });
+  for (const room of touched) {
+    broadcastRoom(room);
     broadcastGame(room);
-    return;
   }
-
-  // if showdown but not 5 cards, deal remaining
-  while (room.communityCards.length < 5) dealCommunity(room, 1);
-
-  const evals = inHand.map((seatIdx) => {
-    const p = getPlayer(room, seatIdx);
-    return { seatIdx, best: getBestHand([...p.hand, ...room.communityCards]) };
-  });
-  evals.sort((a, b) => compareHands(b.best, a.best));
-  const best = evals[0].best;
-  const winners = evals.filter((e) => compareHands(e.best, best) === 0);
-  const winAmount = Math.floor(room.pot / winners.length);
-  for (const w of winners) {
-    const wp = getPlayer(room, w.seatIdx);
-    wp.chips += winAmount;
+  if (!mtt.finalTable && mtt.tables.length === 1) {
+    mtt.finalTable = true;
+    broadcastActivity(rooms.get(mtt.tables[0]), "Final table!");
   }
-  broadcastActivity(room, `Game Over. ${winners.map((w) => room.seats[w.seatIdx].name).join(" & ")} wins with ${best.desc}!`);
-  room.pot = 0;
-  room.round = "HAND_OVER";
-  io.to(room.roomId).emit("hand_over", {
-    handNum: room.handNum,
-    totalHands: room.totalHands,
-    winners: winners.map((w) => ({ seatIdx: w.seatIdx, name: room.seats[w.seatIdx].name })),
-    desc: best.desc,
-    showdownHands: showdownHands
-  });
-  room.handHistory.push({
-    handNum: room.handNum,
-    winners: winners.map((w) => ({ seatIdx: w.seatIdx, name: room.seats[w.seatIdx].name })),
-    desc: best.desc
-  });
-  broadcastGame(room);
 }
 
-function requestTurn(room) {
-  clearTimeout(room.aiTimer);
-
-  // if only one left
-  const inHand = getInHandSeats(room);
-  if (inHand.length <= 1) {
-    finishHand(room);
-    return;
-  }
-
-  // if nobody can act (everyone all-in), fast-forward streets to showdown
-  const actable = getActableSeats(room);
-  if (actable.length === 0) {
-    room.round = "SHOWDOWN";
-    finishHand(room);
-    return;
-  }
-
-  // ensure current active is something that still needs to act
-  removeIneligibleFromPending(room);
-  if (room.activeSeatIdx === null || room.activeSeatIdx === undefined || !room.pendingActionSeats.has(room.activeSeatIdx)) {
-    const any = chooseNextActor(room, room.activeSeatIdx ?? room.dealerSeatIdx);
-    room.activeSeatIdx = any;
+// Moves the player due the big blind next at `src` (the usual choice) to a random free seat at `dst`.
+function moveMttEntrant(mtt, src, dst) {
+  const isIn = (i) => !!src.seats[i] && !!getPlayer(src, i) && !getPlayer(src, i).eliminated;
+  const from = nextSeatClockwise(src, Number.isInteger(src.bbSeatIdx) ? src.bbSeatIdx : src.dealerSeatIdx, isIn);
+  const free = [];
+  for (let i = 0; i < SEATS; i++) if (!dst.seats[i]) free.push(i);
+  if (from === null || !free.length) return;
+  const seatIdx = free[Math.floor(Math.random() * free.length)];
+  const seat = src.seats[from];
+  const p = getPlayer(src, from);
+  const entrant = mttEntrantAt(mtt, src.roomId, from);
+
+  // stack, time bank etc. travel with the player; they sit out a hand already running at the new table
+  dst.seats[seatIdx] = seat.type === "player" ? { ...seat, socketId: null, disconnectedAt: now(), tokenNonce: createSeatNonce() } : { ...seat };
+  dst.players.set(seatIdx, {
+    ...p,
+    seatIdx,
+    currentBet: 0,
+    handContribution: 0,
+    raiseReopenAt: null,
+    hand: [],
+    isFolded: true,
+    sitOutUntilHand: 0,
+    missedBlinds: { sb: false, bb: false }
+  });
+  src.seats[from] = null;
+  src.players.delete(from);
+  if (entrant) {
+    entrant.roomId = dst.roomId;
+    entrant.seatIdx = seatIdx;
   }
-  if (room.activeSeatIdx === null || room.activeSeatIdx === undefined) {
-    proceedToNextStreet(room);
-    return;
+  broadcastActivity(src, `${seat.name} moves to ${tableLabel(dst)}.`);
+  broadcastActivity(dst, `${seat.name} joins from ${tableLabel(src)}.`);
+
+  // the browser rejoins the new table through join_room
+  const sock = seat.socketId && io.sockets.sockets.get(seat.socketId);
+  if (sock) {
+    leaveTableSocket(src, sock);
+    sock.emit("mtt_move", { mttId: mtt.id, roomId: dst.roomId, seatIdx, seatToken: entrant && mttSeatToken(entrant) });
+  } else if (entrant?.socketId) {
+    io.to(entrant.socketId).emit("mtt_move", { mttId: mtt.id, roomId: dst.roomId, seatIdx, seatToken: mttSeatToken(entrant) });
   }
+}
 
-  broadcastGame(room);
-
-  const seat = room.seats[room.activeSeatIdx];
-  if (seat && seat.type === "ai") {
-    // CRITICAL: capture seatIdx now; do NOT reference room.activeSeatIdx inside timeout
-    const aiSeatIdx = room.activeSeatIdx;
-    room.aiTimer = setTimeout(() => {
-      // only act if it's still this AI's turn and seat is still AI
-      if (room.activeSeatIdx !== aiSeatIdx) return;
-      const s = room.seats[aiSeatIdx];
-      if (!s || s.type !== "ai") return;
-      aiAct(room, aiSeatIdx);
-    }, 700);
-  } else {
-    // human: client will send action
-    io.to(room.roomId).emit("turn", { activeSeatIdx: room.activeSeatIdx, turnNonce: room.turnNonce });
-  }
+function leaveTableSocket(room, sock) {
+  sock.leave(room.roomId);
+  sock.leave(spectatorChannel(room));
+  room.socketIds.delete(sock.id);
+  if (room.socketIds.size === 0) room.emptySince = now();
+  if (room.voice.participants.delete(sock.id)) io.to(room.roomId).emit("voice_peer_left", { socketId: sock.id });
+  if (room.hostSocketId === sock.id) room.hostSocketId = null;
+  sock.data.roomId = null;
+  sock.data.seatIdx = null;
+  sock.data.voiceJoined = false;
 }
 
-function placeBet(room, seatIdx, amount) {
-  const p = getPlayer(room, seatIdx);
-  if (!p || p.isFolded || p.isBankrupt) return 0;
-  const amt = Number(amount);
-  if (!Number.isFinite(amt) || amt <= 0) return 0;
-  const real = Math.min(amt, p.chips);
-  p.chips -= real;
-  p.currentBet += real;
-  room.pot += real;
-  return real;
+function closeMttTable(mtt, room) {
+  mtt.tables = mtt.tables.filter((rid) => rid !== room.roomId);
+  clearTimeout(room.mttDealTimer);
+  room.mttDealTimer = null;
+  clearTimeout(room.aiTimer);
+  room.aiTimer = null;
+  stopTurnClock(room);
+  room.closing = true;
+  void releaseRoom(room, "table_closed");
 }
 
-function handleAction(room, seatIdx, action) {
-  const p = getPlayer(room, seatIdx);
-  if (!p || p.isFolded || p.isBankrupt) return;
-  if (room.activeSeatIdx !== seatIdx) return;
+// Freezeout: the prize pool is one buy-in per entrant.
+function getMttPayouts(mtt) {
+  return payoutTable(mtt.entrants.length, mtt.entrants.length * mtt.initialChips, mtt.config.payouts);
+}
 
-  // track last valid actor (used as a fallback in rare edge cases)
-  room.lastActorSeatIdx = seatIdx;
+function mttChips(e) {
+  const room = e.roomId && rooms.get(e.roomId);
+  return room ? getPlayer(room, e.seatIdx)?.chips ?? 0 : 0;
+}
 
-  const callAmt = Math.max(0, room.currentMaxBet - p.currentBet);
-  const actType = action.type;
+function buildMttStandings(mtt) {
+  const out = mtt.entrants.map((e) => ({
+    seatIdx: e.seatIdx,
+    type: e.type,
+    name: e.name,
+    table: e.roomId,
+    place: e.eliminated || e.place === 1 ? e.place : null,
+    chips: mttChips(e),
+    buyIn: mtt.initialChips
+  }));
+  return rankStandings(out, getMttPayouts(mtt));
+}
 
-  if (actType === "fold") {
-    p.isFolded = true;
-    broadcastActivity(room, `${room.seats[seatIdx].name} Folds.`);
-    broadcastPlayerAction(room, seatIdx, "FOLD");
-    room.pendingActionSeats.delete(seatIdx);
-  } else if (actType === "check") {
-    if (callAmt !== 0) return;
-    broadcastActivity(room, `${room.seats[seatIdx].name} Checks.`);
-    broadcastPlayerAction(room, seatIdx, "CHECK");
-    room.pendingActionSeats.delete(seatIdx);
-  } else if (actType === "call") {
-    if (callAmt > 0) {
-      placeBet(room, seatIdx, callAmt);
-      broadcastActivity(room, `${room.seats[seatIdx].name} Calls.`);
-      broadcastPlayerAction(room, seatIdx, `CALL ${callAmt}`);
-    } else {
-      broadcastActivity(room, `${room.seats[seatIdx].name} Checks.`);
-      broadcastPlayerAction(room, seatIdx, "CHECK");
-    }
-    room.pendingActionSeats.delete(seatIdx);
-  } else if (actType === "raise") {
-    const raiseBy = Math.max(room.minRaise, Number(action.raiseBy || room.minRaise));
-    const totalToPut = callAmt + raiseBy;
-    placeBet(room, seatIdx, totalToPut);
-    room.currentMaxBet = p.currentBet;
-    // reset pending to everyone eligible except raiser
-    const actable = getActableSeats(room);
-    room.pendingActionSeats = new Set(actable);
-    room.pendingActionSeats.delete(seatIdx);
-    broadcastActivity(room, `${room.seats[seatIdx].name} Raises to ${p.currentBet}.`);
-    broadcastPlayerAction(room, seatIdx, `RAISE ${p.currentBet}`);
-  } else if (actType === "allin") {
-    const all = p.chips;
-    if (all <= 0) {
-      room.pendingActionSeats.delete(seatIdx);
-    } else {
-      placeBet(room, seatIdx, all);
-      if (p.currentBet > room.currentMaxBet) {
-        room.currentMaxBet = p.currentBet;
-        const actable = getActableSeats(room);
-        room.pendingActionSeats = new Set(actable);
-        room.pendingActionSeats.delete(seatIdx);
-        broadcastActivity(room, `${room.seats[seatIdx].name} ALL-IN to ${p.currentBet}.`);
-        broadcastPlayerAction(room, seatIdx, `ALL-IN ${p.currentBet}`);
-      } else {
-        broadcastActivity(room, `${room.seats[seatIdx].name} is ALL-IN!`);
-        broadcastPlayerAction(room, seatIdx, "ALL-IN");
-        room.pendingActionSeats.delete(seatIdx);
-      }
-    }
+// Lobby view: registration, tables, the shared blind clock and (when done) the results.
+function getMttState(mtt) {
+  let clock = null;
+  if (mtt.status === "running") {
+    const cfg = mtt.config;
+    const idx = levelIndexAt(cfg, { handNum: 0, elapsedMs: now() - mtt.startedAt });
+    const next = nextLevelAt(cfg, idx);
+    clock = {
+      level: idx + 1,
+      smallBlind: cfg.levels[idx].sb,
+      bigBlind: cfg.levels[idx].bb,
+      ante: cfg.levels[idx].ante,
+      nextLevel: next === null ? null : cfg.levels[idx + 1],
+      nextLevelAt: next === null ? null : mtt.startedAt + next
+    };
   }
+  return {
+    id: mtt.id,
+    name: mtt.name,
+    status: mtt.status,
+    createdAt: mtt.createdAt,
+    startedAt: mtt.startedAt,
+    finishedAt: mtt.finishedAt,
+    initialChips: mtt.initialChips,
+    tableSize: mtt.tableSize,
+    structure: mtt.config.structure,
+    levelMinutes: mtt.config.levelLength,
+    entrants: mtt.entrants.map((e) => ({
+      name: e.name,
+      type: e.type,
+      table: e.roomId,
+      seatIdx: e.seatIdx,
+      chips: mttChips(e),
+      place: e.place
+    })),
+    playersLeft: mtt.entrants.filter((e) => !e.eliminated).length,
+    tables: mtt.tables.map((rid) => rooms.get(rid)).filter(Boolean).map((r) => ({
+      roomId: r.roomId,
+      label: tableLabel(r),
+      players: seatedCount(r),
+      handNum: r.handNum,
+      round: r.round
+    })),
+    finalTable: mtt.finalTable,
+    clock,
+    payouts: getMttPayouts(mtt),
+    standings: mtt.status === "finished" ? buildMttStandings(mtt) : null,
+    serverNow: now()
+  };
+}
 
-  // if only one left, end immediately
-  const inHand = getInHandSeats(room);
-  if (inHand.length <= 1) {
-    finishHand(room);
-    return;
-  }
+function broadcastMtt(mtt) {
+  io.to(mttChannel(mtt)).emit("mtt_state", getMttState(mtt));
+}
 
-  // remove ineligible pending and decide next
-  removeIneligibleFromPending(room);
-  if (canAdvanceStreet(room)) {
-    proceedToNextStreet(room);
-    return;
-  }
+// Token for the entrant's current seat; the lobby (where entrants are known by clientId) hands it out.
+function mttSeatToken(entrant) {
+  const room = entrant.roomId ? rooms.get(entrant.roomId) : null;
+  if (!room || room.seats[entrant.seatIdx]?.type !== "player") return null;
+  return issueSeatToken(room, entrant.seatIdx);
+}
 
-  const next = chooseNextActor(room, seatIdx);
-  room.activeSeatIdx = next;
-  requestTurn(room);
+// Per-socket part of the lobby view.
+function emitMttYou(sock, mtt) {
+  const e = mttEntrantFor(mtt, sock.data.clientId);
+  sock.emit("mtt_you", {
+    mttId: mtt.id,
+    isDirector: !!sock.data.clientId && sock.data.clientId === mtt.directorClientId,
+    registered: !!e,
+    roomId: e?.roomId || null,
+    seatIdx: e ? e.seatIdx : null,
+    seatToken: e && !e.eliminated ? mttSeatToken(e) : null,
+    place: e?.place ?? null
+  });
 }
 
 function aiAct(room, seatIdx) {
@@ -919,18 +1488,152 @@ function aiAct(room, seatIdx) {
     requestTurn(room);
     return;
   }
-  const callAmt = Math.max(0, room.currentMaxBet - p.currentBet);
-  const r = Math.random();
-  if (callAmt > 0 && r > 0.85) {
-    handleAction(room, seatIdx, { type: "fold" });
+  const view = buildAiView(room, seatIdx);
+  if (room.seats[seatIdx]?.botId) {
+    requestBotDecision(room, seatIdx, view);
     return;
   }
-  if (r > 0.7 && p.chips > callAmt + room.minRaise) {
-    handleAction(room, seatIdx, { type: "raise", raiseBy: room.minRaise });
+  let action;
+  try {
+    action = getAiStrategy(room.seats[seatIdx]?.strategy).decide(view);
+  } catch (e) {
+    console.warn("[aiAct] strategy failed:", e?.message || e);
+  }
+  // a strategy that returns nothing usable just checks or folds
+  if (!action || handleAction(room, seatIdx, action)) {
+    handleAction(room, seatIdx, { type: view.legal.canCheck ? "check" : "fold" });
+  }
+}
+
+// --- External bots (Socket.IO namespace /bots) ---
+// A bot program connects to /bots (auth: { name, id?, token }), the host seats it with
+// toggle_ai { seatIdx, botId }, and on each of its turns it gets `decision_request` and answers
+// with `decision { requestId, action }` before the deadline. Late, missing or illegal answers
+// check (or fold when facing a bet), like a human whose clock runs out.
+const bots = new Map(); // botId -> { id, name, socket, pending: Map<requestId, roomId> }
+let botRequestSeq = 0;
+const botNsp = io.of("/bots");
+
+botNsp.use((sock, next) => {
+  const auth = sock.handshake.auth || {};
+  if (BOT_TOKEN && auth.token !== BOT_TOKEN) return next(new Error("Bad bot token."));
+  const id = String(auth.id || "").trim().slice(0, 40) || `bot-${Math.random().toString(36).slice(2, 8)}`;
+  if (bots.has(id)) return next(new Error("A bot with this id is already connected."));
+  sock.data.botId = id;
+  sock.data.botName = String(auth.name || "").trim().slice(0, 20) || id;
+  next();
+});
+
+botNsp.on("connection", (bsock) => {
+  const bot = { id: bsock.data.botId, name: bsock.data.botName, socket: bsock, pending: new Map() };
+  bots.set(bot.id, bot);
+  bsock.emit("registered", { botId: bot.id, name: bot.name, decisionMs: BOT_DECISION_MS });
+  refreshBotLists();
+
+  bsock.on("decision", (payload) => {
+    const { requestId, action } = payload ?? {};
+    const roomId = bot.pending.get(requestId);
+    if (!roomId) return;
+    bot.pending.delete(requestId);
+    const room = rooms.get(roomId);
+    const req = room?.botRequest;
+    if (!req || req.id !== requestId || room.activeSeatIdx !== req.seatIdx) return;
+    clearTimeout(room.aiTimer);
+    room.aiTimer = null;
+    room.botRequest = null;
+    const err = handleAction(room, req.seatIdx, action || {});
+    if (err) {
+      bsock.emit("decision_rejected", { requestId, error: err });
+      botFallback(room, req.seatIdx);
+    }
+  });
+
+  bsock.on("disconnect", () => {
+    bots.delete(bot.id);
+    // don't keep tables waiting for answers that will never come
+    for (const [requestId, roomId] of bot.pending) {
+      const room = rooms.get(roomId);
+      if (room?.botRequest?.id !== requestId) continue;
+      clearTimeout(room.aiTimer);
+      room.aiTimer = null;
+      room.botRequest = null;
+      botFallback(room, room.activeSeatIdx);
+    }
+    refreshBotLists();
+  });
+});
+
+// Seat pickers list the connected bots.
+function refreshBotLists() {
+  for (const room of rooms.values()) if (!room.started && room.socketIds.size) broadcastRoom(room);
+}
+
+function listBots() {
+  return [...bots.values()].map((b) => ({ id: b.id, name: b.name }));
+}
+
+function botFallback(room, seatIdx) {
+  const p = getPlayer(room, seatIdx);
+  if (!p || room.activeSeatIdx !== seatIdx) return;
+  handleAction(room, seatIdx, { type: room.currentMaxBet > p.currentBet ? "fold" : "check" });
+}
+
+// Public table state plus the bot's own cards and legal actions.
+function requestBotDecision(room, seatIdx, view) {
+  const seat = room.seats[seatIdx];
+  const bot = bots.get(seat.botId);
+  if (!bot) {
+    botFallback(room, seatIdx);
     return;
   }
-  if (callAmt > 0) handleAction(room, seatIdx, { type: "call" });
-  else handleAction(room, seatIdx, { type: "check" });
+  botRequestSeq += 1;
+  const requestId = `r${botRequestSeq}`;
+  room.botRequest = { id: requestId, seatIdx, botId: bot.id };
+  bot.pending.set(requestId, room.roomId);
+  bot.socket.emit("decision_request", {
+    requestId,
+    roomId: room.roomId,
+    handNum: room.handNum,
+    street: room.round,
+    seatIdx,
+    game: view.game,
+    betting: getBettingStructure(room).structure,
+    hand: view.hand,
+    board: view.board,
+    pot: view.pot,
+    toCall: view.toCall,
+    currentMaxBet: view.currentMaxBet,
+    minRaise: room.minRaise,
+    smallBlind: room.smallBlind,
+    bigBlind: room.bigBlind,
+    ante: room.ante,
+    anteMode: room.anteMode,
+    dealerSeatIdx: room.dealerSeatIdx,
+    sbSeatIdx: room.sbSeatIdx,
+    bbSeatIdx: room.bbSeatIdx,
+    straddleSeatIdx: room.straddleSeatIdx,
+    legal: view.legal,
+    players: [...room.players.values()]
+      .filter((p) => room.seats[p.seatIdx] && !p.eliminated)
+      .map((p) => ({
+        seatIdx: p.seatIdx,
+        name: room.seats[p.seatIdx].name,
+        chips: p.chips,
+        currentBet: p.currentBet,
+        folded: !!p.isFolded,
+        allIn: p.chips === 0 && !p.isFolded
+      })),
+    actions: (room.currentHand?.actions || []).map(({ street, seatIdx: s, type, amount }) => ({ street, seatIdx: s, type, amount })),
+    deadline: now() + BOT_DECISION_MS
+  });
+  room.aiTimer = setTimeout(() => {
+    if (room.botRequest?.id !== requestId) return;
+    bot.pending.delete(requestId);
+    room.botRequest = null;
+    room.aiTimer = null;
+    broadcastActivity(room, `${seat.name} timed out.`);
+    botFallback(room, seatIdx);
+  }, BOT_DECISION_MS);
 }
 
 // --- Socket.io wiring ---
@@ -939,6 +1642,7 @@ io.on("connection", (socket) => {
   socket.data.seatIdx = null;
   socket.data.name = null;
   socket.data.clientId = null;
+  socket.data.mttId = null;
   socket.data.voiceJoined = false;
 
   function emitYouState(room) {
@@ -950,16 +1654,41 @@ io.on("connection", (socket) => {
     });
   }
 
-  socket.on("join_room", ({ roomId, name, clientId }) => {
+  socket.on("list_rooms", () => {
+    socket.emit("room_list", { rooms: listLobbyRooms() });
+  });
+
+  socket.on("join_room", async (payload) => {
+    const { roomId, name, clientId, seatToken, password } = payload ?? {};
     const rid = String(roomId || "").trim();
     const nm = String(name || "").trim() || "Player";
     const cid = String(clientId || "").trim();
+    const pw = cleanRoomPassword(password);
     if (!rid) return;
 
     let room = rooms.get(rid);
     if (!room) {
+      // a password given when the room is created makes it private
       room = makeRoom(rid);
+      if (pw) room.passwordHash = hashRoomPassword(pw);
       rooms.set(rid, room);
+    } else if (room.passwordHash && socket.data.roomId !== rid && seatForToken(room, seatToken) === null) {
+      // private room: the password, or a seat token from an earlier visit, lets you in
+      const check = await tryRoomPassword(room, pw, socket.handshake?.address);
+      if (check !== "ok") {
+        const msg = {
+          missing: "This room is private. Enter its password to join.",
+          wrong: "Wrong password for this private room.",
+          locked: "Too many wrong passwords. Try again in a minute."
+        }[check];
+        socket.emit("error_msg", { msg });
+        return;
+      }
+      // the room may have been released while the password was checked
+      if (rooms.get(rid) !== room) {
+        socket.emit("error_msg", { msg: "This room has ended. Please rejoin in a moment (or use a new Room ID)." });
+        return;
+      }
     }
     room.lastActiveAt = now();
     if (room.closing) {
@@ -968,39 +1697,33 @@ io.on("connection", (socket) => {
     }
     socket.data.clientId = cid || socket.data.clientId;
 
-    // If match is running: allow ONLY reconnect to an existing disconnected seat (by clientId or by name fallback).
-    if (room.started) {
-      let reconnectSeatIdx = null;
-      for (let i = 0; i < SEATS; i++) {
-        const s = room.seats[i];
-        if (!s || s.type !== "player") continue;
-        if (cid && s.clientId && s.clientId === cid) { reconnectSeatIdx = i; break; }
-      }
+    // If match is running: the seat token gets a player back to their seat; anyone else watches as a spectator.
+    socket.data.seatIdx = null;
+    let seatTokenError = null;
+    if (room.started && seatToken) {
+      const reconnectSeatIdx = seatForToken(room, seatToken);
       if (reconnectSeatIdx === null) {
-        // fallback: same nickname can reclaim if seat is disconnected
-        for (let i = 0; i < SEATS; i++) {
-          const s = room.seats[i];
-          if (!s || s.type !== "player") continue;
-          if (String(s.name || "") === nm && (!s.socketId || !io.sockets.sockets.has(s.socketId))) { reconnectSeatIdx = i; break; }
-        }
-      }
-      if (reconnectSeatIdx === null) {
-        socket.emit("error_msg", { msg: "Game already started in this room. You can only rejoin if you were already seated." });
-        return;
+        logRejectedSeatClaim(room, socket, "reconnect");
+        socket.emit("seat_token", { roomId: rid, seatIdx: null, token: null });
+        seatTokenError = "Your seat token is not valid for this table, so you joined as a spectator. The host can reassign your seat to you.";
+      } else {
+        // Rebind seat
+        room.seats[reconnectSeatIdx].socketId = socket.id;
+        room.seats[reconnectSeatIdx].name = nm;
+        if (cid) room.seats[reconnectSeatIdx].clientId = cid;
+        room.seats[reconnectSeatIdx].disconnectedAt = null;
+        if (!room.seats[reconnectSeatIdx].decor) room.seats[reconnectSeatIdx].decor = "none";
+        socket.data.seatIdx = reconnectSeatIdx;
       }
-      // Rebind seat
-      room.seats[reconnectSeatIdx].socketId = socket.id;
-      room.seats[reconnectSeatIdx].name = nm;
-      if (cid) room.seats[reconnectSeatIdx].clientId = cid;
-      room.seats[reconnectSeatIdx].disconnectedAt = null;
-      if (!room.seats[reconnectSeatIdx].decor) room.seats[reconnectSeatIdx].decor = "none";
-      socket.data.seatIdx = reconnectSeatIdx;
     }
-    // host 选举：如果没有 host 或 host socket 已不在线，则把当前加入者设为 host
+    const seated = Number.isInteger(socket.data.seatIdx);
+    // host 选举：如果没有 host 或 host socket 已不在线，则把当前加入者设为 host（比赛中观众不能当 host）
     const hostOnline = room.hostSocketId && io.sockets.sockets.has(room.hostSocketId);
-    if (!room.hostSocketId || !hostOnline) room.hostSocketId = socket.id;
+    if ((!room.hostSocketId || !hostOnline) && (!room.started || seated)) room.hostSocketId = socket.id;
 
     socket.join(rid);
+    if (seated) socket.leave(spectatorChannel(room));
+    else socket.join(spectatorChannel(room));
     socket.data.roomId = rid;
     socket.data.name = nm;
     room.socketIds.add(socket.id);
@@ -1008,10 +1731,13 @@ io.on("connection", (socket) => {
 
     socket.emit("room_state", getRoomSummary(room, socket.id));
     emitYouState(room);
+    if (seated) sendSeatToken(room, socket, socket.data.seatIdx);
+    if (seatTokenError) socket.emit("error_msg", { msg: seatTokenError });
     // Sync recent activity to reconnecting clients (helps after refresh)
     try {
-      const items = Array.isArray(room.activityLog) ? room.activityLog.slice(-200) : [];
+      const items = (seated ? room.activityLog || [] : getSpectatorActivity(room)).slice(-200);
       socket.emit("activity_sync", { items });
+      socket.emit("chat_sync", { items: room.chat.slice(-CHAT_HISTORY) });
     } catch (_) {}
     broadcastRoom(room);
     broadcastGame(room);
@@ -1023,14 +1749,16 @@ io.on("connection", (socket) => {
           const seat = room.seats[seatIdx];
           const p = getPlayer(room, seatIdx);
           if (seat && seat.type === "player" && p && Array.isArray(p.hand) && p.hand.length >= 2) {
-            socket.emit("private_hand", { seatIdx, hand: p.hand.slice(0, 2) });
+            socket.emit("private_hand", { seatIdx, hand: p.hand });
           }
         }
-        if (room.round !== "HAND_OVER") {
+        if (!isBetweenHands(room)) {
           requestTurn(room);
         }
       }
     } catch (_) {}
+    // a tournament table may have been waiting for this player to sit down
+    if (room.mttId && Number.isInteger(socket.data.seatIdx) && isBetweenHands(room)) scheduleMttDeal(room);
   });
 
   // ---- Voice signaling (WebRTC; audio is P2P) ----
@@ -1066,7 +1794,8 @@ io.on("connection", (socket) => {
     socket.to(rid).emit("voice_peer_left", { socketId: socket.id });
   });
 
-  socket.on("voice_signal", ({ to, data }) => {
+  socket.on("voice_signal", (payload) => {
+    const { to, data } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1078,23 +1807,27 @@ io.on("connection", (socket) => {
     io.to(to).emit("voice_signal", { from: socket.id, data });
   });
 
-  socket.on("take_seat", ({ seatIdx }) => {
+  socket.on("take_seat", (payload) => {
+    const { seatIdx, seatToken } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
     if (!room || room.closing) return;
-    // Allow reconnecting players to reclaim seat during started game only if seat reserved for them.
+    // During a match a seat can only be reclaimed with its seat token.
     if (room.started) {
       const idx = Number(seatIdx);
       if (!Number.isInteger(idx) || idx < 0 || idx >= SEATS) return;
       const seat = room.seats[idx];
       if (!seat || seat.type !== "player") return;
-      const cid = socket.data.clientId;
-      const canReclaim = (cid && seat.clientId && seat.clientId === cid) || (String(seat.name || "") === String(socket.data.name || ""));
-      if (!canReclaim) return;
+      if (seatForToken(room, seatToken) !== idx) {
+        logRejectedSeatClaim(room, socket, `claim of seat ${idx}`);
+        socket.emit("error_msg", { msg: "This seat belongs to another player. If it is yours, ask the host to reassign it." });
+        return;
+      }
       seat.socketId = socket.id;
       seat.disconnectedAt = null;
       socket.data.seatIdx = idx;
+      socket.leave(spectatorChannel(room));
       emitYouState(room);
       broadcastRoom(room);
       broadcastGame(room);
@@ -1111,16 +1844,29 @@ io.on("connection", (socket) => {
       if (s && s.type === "player" && s.socketId === socket.id) room.seats[i] = null;
     }
 
-    room.seats[idx] = { type: "player", socketId: socket.id, name: socket.data.name || "Player", clientId: socket.data.clientId || null, disconnectedAt: null, decor: "none" };
+    room.seats[idx] = {
+      type: "player",
+      socketId: socket.id,
+      name: socket.data.name || "Player",
+      clientId: socket.data.clientId || null,
+      disconnectedAt: null,
+      decor: "none",
+      tokenNonce: createSeatNonce()
+    };
     socket.data.seatIdx = idx;
+    socket.leave(spectatorChannel(room));
     socket.emit("seat_taken", { seatIdx: idx });
+    sendSeatToken(room, socket, idx);
     emitYouState(room);
     ensurePlayersMap(room);
     broadcastRoom(room);
     broadcastGame(room);
   });
 
-  socket.on("toggle_ai", ({ seatIdx }) => {
+  // Adds or removes an AI seat; with `strategy` on an AI seat it switches that seat's personality instead.
+  // With `botId` the seat is played by that connected external bot (see /bots).
+  socket.on("toggle_ai", (payload) => {
+    const { seatIdx, strategy, botId } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1131,24 +1877,88 @@ io.on("connection", (socket) => {
     if (!Number.isInteger(idx) || idx < 0 || idx >= SEATS) return;
     const seat = room.seats[idx];
     if (seat && seat.type === "player") return;
-    if (seat && seat.type === "ai") {
+    const picked = listAiStrategies().some((x) => x.id === strategy) ? strategy : null;
+    const bot = botId ? bots.get(String(botId)) : null;
+    if (bot) {
+      const taken = room.seats.some((s, i) => i !== idx && s && s.name === bot.name);
+      room.seats[idx] = { type: "ai", name: taken ? `${bot.name}-${idx}` : bot.name, botId: bot.id };
+      ensurePlayersMap(room);
+      bot.socket.emit("seated", { roomId: room.roomId, seatIdx: idx });
+    } else if (seat && seat.type === "ai" && picked) {
+      seat.strategy = picked;
+      delete seat.botId;
+      seat.name = `AI-${idx}`;
+    } else if (seat && seat.type === "ai") {
       room.seats[idx] = null;
       room.players.delete(idx);
     } else {
-      room.seats[idx] = { type: "ai", name: `AI-${idx}` };
+      room.seats[idx] = { type: "ai", name: `AI-${idx}`, strategy: picked || DEFAULT_AI_STRATEGY };
       ensurePlayersMap(room);
     }
     broadcastRoom(room);
     broadcastGame(room);
   });
 
-  socket.on("kick_seat", ({ seatIdx }) => {
+  // Host hands an orphaned seat (owner offline, e.g. lost their seat token) to a spectator in the room.
+  // The seat keeps its chips; tokens issued for it before stop working.
+  socket.on("reassign_seat", (payload) => {
+    const { seatIdx, socketId } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || !room.started || room.closing) return;
+    if (socket.id !== room.hostSocketId) return;
+    if (room.mttId) return socket.emit("error_msg", { msg: "Tournament seats can't be reassigned." });
+    const idx = Number(seatIdx);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= SEATS) return;
+    const seat = room.seats[idx];
+    if (!seat || seat.type !== "player") return;
+    if (isSeatOnline(seat)) return socket.emit("error_msg", { msg: "That player is still connected." });
+    const target = io.sockets.sockets.get(String(socketId || ""));
+    if (!target || target.data.roomId !== rid || Number.isInteger(target.data.seatIdx)) {
+      return socket.emit("error_msg", { msg: "Pick a spectator in this room." });
+    }
+
+    const oldName = seat.name;
+    seat.socketId = target.id;
+    seat.name = target.data.name || "Player";
+    seat.clientId = target.data.clientId || null;
+    seat.disconnectedAt = null;
+    seat.tokenNonce = createSeatNonce();
+    target.data.seatIdx = idx;
+    target.leave(spectatorChannel(room));
+    target.emit("seat_taken", { seatIdx: idx });
+    target.emit("you_state", { roomId: rid, seatIdx: idx, isHost: false });
+    sendSeatToken(room, target, idx);
+    broadcastActivity(room, `Host gave ${oldName}'s seat to ${seat.name}.`);
+    broadcastRoom(room);
+    broadcastGame(room);
+  });
+
+  // Host: set or change the join password (empty makes the room public). Players already inside stay.
+  socket.on("set_room_password", (payload) => {
+    const { password } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || room.closing || room.mttId) return;
+    if (socket.id !== room.hostSocketId) return;
+    const pw = cleanRoomPassword(password);
+    room.passwordHash = pw ? hashRoomPassword(pw) : null;
+    broadcastActivity(room, pw ? "Host made this room private." : "Host made this room public.");
+    broadcastRoom(room);
+    // saved with the next snapshot if a hand is running
+    if (room.started && isBetweenHands(room)) persistRoom(room);
+  });
+
+  socket.on("kick_seat", (payload) => {
+    const { seatIdx } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
     if (!room) return;
     if (socket.id !== room.hostSocketId) return;
-    if (room.closing) return;
+    if (room.closing || room.mttId) return;
 
     const idx = Number(seatIdx);
     if (!Number.isInteger(idx) || idx < 0 || idx >= SEATS) return;
@@ -1159,7 +1969,12 @@ io.on("connection", (socket) => {
 
     if (room.started) {
       // In-game kick: force fold now and sit-out until next hand, but keep seat reserved for reconnection.
+      // An all-in hand is never folded: it plays out.
       const p = getPlayer(room, idx);
+      if (p && isHandSettled(room, p)) {
+        socket.emit("error_msg", { msg: `${seat.name} is all in; their hand plays out.` });
+        return;
+      }
       if (p) {
         p.isFolded = true;
         p.currentBet = p.currentBet || 0;
@@ -1170,6 +1985,12 @@ io.on("connection", (socket) => {
         io.to(seat.socketId).emit("kicked_in_hand", { seatIdx: idx, msg: "You were removed from this hand by host. You can rejoin next hand." });
       }
       broadcastActivity(room, `${seat.name} was removed by host (sit out until next hand).`);
+      // between hands there is no action to move on
+      if (isBetweenHands(room)) {
+        broadcastRoom(room);
+        broadcastGame(room);
+        return;
+      }
       broadcastPlayerAction(room, idx, "FOLD");
 
       const inHand = getInHandSeats(room);
@@ -1192,9 +2013,12 @@ io.on("connection", (socket) => {
       return;
     }
 
-    // Waiting/seat-selection kick: remove seat entirely
-    if (seat.socketId && io.sockets.sockets.has(seat.socketId)) {
-      io.to(seat.socketId).emit("kicked", { seatIdx: idx });
+    // Waiting/seat-selection kick: remove seat entirely (they stay in the room as a spectator)
+    const kickedSocket = seat.socketId ? io.sockets.sockets.get(seat.socketId) : null;
+    if (kickedSocket) {
+      kickedSocket.data.seatIdx = null;
+      kickedSocket.join(spectatorChannel(room));
+      kickedSocket.emit("kicked", { seatIdx: idx });
     }
     room.seats[idx] = null;
     room.players.delete(idx);
@@ -1202,7 +2026,8 @@ io.on("connection", (socket) => {
     broadcastGame(room);
   });
 
-  socket.on("start_game", ({ totalHands, initialChips }) => {
+  socket.on("start_game", (payload) => {
+    const { totalHands, initialChips, turnSeconds, timeBankSeconds, spectatorDelaySeconds, format, tournament, game, ante, anteMode, runItTimes, betting, smallBet, bigBet, raiseCap } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1220,11 +2045,42 @@ io.on("connection", (socket) => {
     room.initialChips = Math.max(1000, Number(initialChips || 1000));
     if (!Number.isFinite(room.totalHands)) room.totalHands = 5;
     if (!Number.isFinite(room.initialChips)) room.initialChips = 1000;
+    // decision clock: 0 disables it, otherwise 5..120s; time bank 0..300s
+    const ts = Number(turnSeconds ?? room.turnSeconds);
+    room.turnSeconds = Number.isFinite(ts) ? (ts <= 0 ? 0 : Math.max(5, Math.min(120, Math.floor(ts)))) : 30;
+    const tb = Number(timeBankSeconds ?? room.timeBankSeconds);
+    room.timeBankSeconds = Number.isFinite(tb) ? Math.max(0, Math.min(300, Math.floor(tb))) : 60;
+    for (const p of room.players.values()) p.timeBankMs = room.timeBankSeconds * 1000;
+    const sd = Number(spectatorDelaySeconds ?? room.spectatorDelaySeconds);
+    room.spectatorDelaySeconds = Number.isFinite(sd) ? Math.max(0, Math.min(600, Math.floor(sd))) : 0;
+    // tournament: blinds come from the level structure (set when each hand starts)
+    room.format = format === "tournament" ? "tournament" : "cash";
+    room.game = getGame(game).id;
+    // betting structure: the variant's unless another is picked; fixed-limit sizes default to the blinds
+    room.betting = BETTING_STRUCTURES.includes(betting) ? betting : null;
+    const sb = Math.floor(Number(smallBet));
+    const bb = Math.floor(Number(bigBet));
+    const cap = Math.floor(Number(raiseCap ?? 4));
+    room.smallBet = Number.isFinite(sb) && sb >= room.bigBlind ? sb : 0;
+    room.bigBet = Number.isFinite(bb) && bb > 0 ? Math.max(bb, room.smallBet || room.bigBlind) : 0;
+    room.raiseCap = Number.isFinite(cap) ? Math.max(0, Math.min(10, cap)) : 4;
+    // cash games: an optional per-player ante up to the big blind (tournament levels set their own)
+    const an = Number(ante);
+    room.ante = room.format === "cash" && Number.isFinite(an) ? Math.max(0, Math.min(room.bigBlind, Math.floor(an))) : 0;
+    room.anteMode = ANTE_MODES.includes(anteMode) ? anteMode : "everyone";
+    const runs = Math.floor(Number(runItTimes));
+    room.runItTimes = Number.isFinite(runs) ? Math.max(1, Math.min(MAX_RUNS, runs)) : 1;
+    room.tournament = null;
+    if (room.format === "tournament") startTournament(room, tournament || {});
     room.started = true;
     room.handNum = 0;
     room.dealerSeatIdx = 0;
+    room.sbSeatIdx = null;
+    room.bbSeatIdx = null;
+    room.sbPosIdx = null;
     ensurePlayersMap(room);
     broadcastRoom(room);
+    persistRoom(room);
     startHand(room);
   });
 
@@ -1235,13 +2091,119 @@ io.on("connection", (socket) => {
     if (!room || !room.started) return;
     const seatIdx = socket.data.seatIdx;
     if (seatIdx === null || seatIdx === undefined) return;
-    handleAction(room, seatIdx, payload || {});
+    // acting by hand clears the timeout streak
+    const p = getPlayer(room, seatIdx);
+    if (p && room.activeSeatIdx === seatIdx) p.timeouts = 0;
+    const err = handleAction(room, seatIdx, payload || {});
+    if (err) socket.emit("error_msg", { msg: err });
+  });
+
+  // Seated players add their own seed to the next shuffle (only before that hand is dealt).
+  socket.on("client_seed", (payload) => {
+    const { seed } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || room.closing || !room.fairness) return;
+    const seatIdx = socket.data.seatIdx;
+    if (!Number.isInteger(seatIdx) || seatIdx < 0 || seatIdx >= SEATS) return;
+    const seat = room.seats[seatIdx];
+    if (!seat || seat.type !== "player" || seat.socketId !== socket.id) return;
+    if (room.fairness.handNum !== null) return socket.emit("error_msg", { msg: "This hand is already dealt; your seed goes into the next one." });
+    const clean = cleanClientSeed(seed);
+    if (!clean) return socket.emit("error_msg", { msg: "Seed must use letters, digits, - or _." });
+    room.fairness.clientSeeds.set(seatIdx, clean);
+    broadcastGame(room);
+  });
+
+  // Return from an automatic (timeout) or voluntary sit-out; takes effect next hand.
+  socket.on("sit_in", () => {
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || !room.started || room.closing) return;
+    const seatIdx = socket.data.seatIdx;
+    if (!Number.isInteger(seatIdx) || seatIdx < 0 || seatIdx >= SEATS) return;
+    const seat = room.seats[seatIdx];
+    if (!seat || seat.type !== "player" || seat.socketId !== socket.id) return;
+    const p = getPlayer(room, seatIdx);
+    if (!p || !(p.sitOutUntilHand > room.handNum + 1)) return;
+    p.sitOutUntilHand = room.handNum + 1;
+    p.timeouts = 0;
+    broadcastActivity(room, `${seat.name} is back (plays next hand).`);
+    broadcastGame(room);
+  });
+
+  // Opt in to (or out of) straddling whenever this seat is UTG; it is decided when the cards are dealt.
+  socket.on("set_straddle", (payload) => {
+    const { on } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || !room.started || room.closing) return;
+    const seatIdx = socket.data.seatIdx;
+    if (!Number.isInteger(seatIdx) || seatIdx < 0 || seatIdx >= SEATS) return;
+    const seat = room.seats[seatIdx];
+    if (!seat || seat.type !== "player" || seat.socketId !== socket.id) return;
+    const p = getPlayer(room, seatIdx);
+    if (!p || p.straddle === !!on) return;
+    p.straddle = !!on;
+    broadcastActivity(room, p.straddle ? `${seat.name} will straddle when UTG.` : `${seat.name} stops straddling.`);
+    broadcastGame(room);
+  });
+
+  // Answer to run_it_prompt: how many times to run the board (1 = once); the smallest answer wins.
+  socket.on("run_it", (payload) => {
+    const { runs } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || !room.started || room.closing) return;
+    const seatIdx = socket.data.seatIdx;
+    if (!Number.isInteger(seatIdx) || seatIdx < 0 || seatIdx >= SEATS) return;
+    const seat = room.seats[seatIdx];
+    if (!seat || seat.type !== "player" || seat.socketId !== socket.id) return;
+    const err = voteRunIt(room, seatIdx, runs);
+    if (err) socket.emit("error_msg", { msg: err });
+  });
+
+  // Standing choice to muck a beaten hand at showdown rather than show it.
+  socket.on("set_auto_muck", (payload) => {
+    const { on } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || !room.started || room.closing) return;
+    const seatIdx = socket.data.seatIdx;
+    if (!Number.isInteger(seatIdx) || seatIdx < 0 || seatIdx >= SEATS) return;
+    const seat = room.seats[seatIdx];
+    if (!seat || seat.type !== "player" || seat.socketId !== socket.id) return;
+    const p = getPlayer(room, seatIdx);
+    if (!p || p.autoMuck === !!on) return;
+    p.autoMuck = !!on;
+    broadcastGame(room);
+  });
+
+  // Turn your hand face up once it is over (e.g. after everyone else folded).
+  socket.on("show_cards", () => {
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || !room.started || room.closing) return;
+    const seatIdx = socket.data.seatIdx;
+    if (!Number.isInteger(seatIdx) || seatIdx < 0 || seatIdx >= SEATS) return;
+    const seat = room.seats[seatIdx];
+    if (!seat || seat.type !== "player" || seat.socketId !== socket.id) return;
+    const err = showCards(room, seatIdx);
+    if (err) socket.emit("error_msg", { msg: err });
+    else persistRoom(room);
   });
 
   // ---- Rebuy (players can request; host approves) ----
   // Fast rebuy: player directly adds pending chips for next hand (no host approval).
   // This matches the UX: busted player sees a prompt, enters amount, re-enters next hand.
-  socket.on("rebuy", ({ amount }) => {
+  socket.on("rebuy", (payload) => {
+    const { amount } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1253,8 +2215,14 @@ io.on("connection", (socket) => {
     const p = getPlayer(room, seatIdx);
     if (!p) return;
     if (p.chips > 0) return; // only when busted
+    const blocked = rebuyBlockedReason(room, p);
+    if (blocked) {
+      socket.emit("error_msg", { msg: blocked });
+      return;
+    }
 
-    const amt = Number(amount);
+    // tournament rebuys are for a starting stack
+    const amt = isTournament(room) ? room.initialChips : Number(amount);
     if (!Number.isFinite(amt) || amt < 1000 || amt % 50 !== 0) {
       socket.emit("error_msg", { msg: "Rebuy amount must be >= 1000 and a multiple of 50." });
       return;
@@ -1267,7 +2235,8 @@ io.on("connection", (socket) => {
   });
 
   // ---- Table decor (cosmetic) ----
-  socket.on("set_decor", ({ decor }) => {
+  socket.on("set_decor", (payload) => {
+    const { decor } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1287,7 +2256,8 @@ io.on("connection", (socket) => {
     broadcastGame(room);
   });
 
-  socket.on("rebuy_request", ({ amount }) => {
+  socket.on("rebuy_request", (payload) => {
+    const { amount } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1299,8 +2269,14 @@ io.on("connection", (socket) => {
     const p = getPlayer(room, seatIdx);
     if (!p) return;
     if (p.chips > 0) return; // only when busted
+    const blocked = rebuyBlockedReason(room, p);
+    if (blocked) {
+      socket.emit("error_msg", { msg: blocked });
+      return;
+    }
 
-    const amt = Number(amount);
+    // tournament rebuys are for a starting stack
+    const amt = isTournament(room) ? room.initialChips : Number(amount);
     if (!Number.isFinite(amt) || amt < 1000 || amt % 50 !== 0) {
       socket.emit("error_msg", { msg: "Rebuy amount must be >= 1000 and a multiple of 50." });
       return;
@@ -1312,7 +2288,8 @@ io.on("connection", (socket) => {
     io.to(room.hostSocketId).emit("rebuy_requested", { seatIdx, name: seat.name, amount: amt });
   });
 
-  socket.on("rebuy_approve", ({ seatIdx, amount }) => {
+  socket.on("rebuy_approve", (payload) => {
+    const { seatIdx, amount } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1324,7 +2301,12 @@ io.on("connection", (socket) => {
     if (!seat || seat.type !== "player") return;
     const p = getPlayer(room, idx);
     if (!p) return;
-    const amt = Number(amount);
+    const blocked = rebuyBlockedReason(room, p);
+    if (blocked) {
+      socket.emit("error_msg", { msg: `${seat.name}: ${blocked}` });
+      return;
+    }
+    const amt = isTournament(room) ? room.initialChips : Number(amount);
     if (!Number.isFinite(amt) || amt < 1000 || amt % 50 !== 0) return;
 
     p.pendingRebuy = Number(p.pendingRebuy || 0) + amt;
@@ -1333,7 +2315,8 @@ io.on("connection", (socket) => {
     broadcastGame(room);
   });
 
-  socket.on("rebuy_deny", ({ seatIdx }) => {
+  socket.on("rebuy_deny", (payload) => {
+    const { seatIdx } = payload ?? {};
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1349,6 +2332,68 @@ io.on("connection", (socket) => {
     broadcastActivity(room, `${seat.name} rebuy denied.`);
   });
 
+  socket.on("chat_message", (payload) => {
+    const { text } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room) return;
+    const clean = cleanChatText(text);
+    if (!clean) return;
+    if (isChatMuted(room, socket)) {
+      socket.emit("error_msg", { msg: "You have been muted by the host." });
+      return;
+    }
+    if (!takeChatSlot(socket)) {
+      socket.emit("error_msg", { msg: "You're sending messages too fast. Please wait a moment." });
+      return;
+    }
+    const seatIdx = Number.isInteger(socket.data.seatIdx) ? socket.data.seatIdx : null;
+    const msg = {
+      id: `${now()}-${socket.id}`,
+      ts: now(),
+      socketId: socket.id,
+      seatIdx,
+      name: (seatIdx !== null && room.seats[seatIdx]?.name) || socket.data.name || "Player",
+      text: clean
+    };
+    room.chat.push(msg);
+    if (room.chat.length > CHAT_HISTORY) room.chat.splice(0, room.chat.length - CHAT_HISTORY);
+    room.lastActiveAt = now();
+    io.to(rid).emit("chat_message", msg);
+  });
+
+  // host: mute / unmute someone in the room (seated or spectating)
+  socket.on("chat_mute", (payload) => {
+    const { socketId, muted } = payload ?? {};
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || socket.id !== room.hostSocketId) return;
+    const target = io.sockets.sockets.get(String(socketId || ""));
+    if (!target || target.data.roomId !== rid || target.id === socket.id) return;
+    const id = chatIdentity(target);
+    const name = target.data.name || "Player";
+    if (muted === false) {
+      room.chatMuted = room.chatMuted.filter((x) => x !== id);
+      broadcastActivity(room, `${name} was unmuted by host.`);
+    } else if (!room.chatMuted.includes(id)) {
+      room.chatMuted.push(id);
+      broadcastActivity(room, `${name} was muted by host.`);
+    }
+    broadcastRoom(room);
+  });
+
+  socket.on("chat_clear", () => {
+    const rid = socket.data.roomId;
+    if (!rid) return;
+    const room = rooms.get(rid);
+    if (!room || socket.id !== room.hostSocketId) return;
+    room.chat = [];
+    io.to(rid).emit("chat_cleared");
+    broadcastActivity(room, "Chat was cleared by host.");
+  });
+
   socket.on("next_hand", async () => {
     const rid = socket.data.roomId;
     if (!rid) return;
@@ -1357,12 +2402,14 @@ io.on("connection", (socket) => {
     if (socket.id !== room.hostSocketId) return;
 
     if (room.pot !== 0) return;
-    if (room.handNum >= room.totalHands) {
+    // multi-table tournament tables deal on their own
+    if (room.mttId) return;
+    if (isTournament(room) ? tournamentPlayersLeft(room) <= 1 : room.handNum >= room.totalHands) {
       await emitMatchOverAndEnterClosing(room);
       return;
     }
 
-    room.dealerSeatIdx = (room.dealerSeatIdx + 1) % SEATS;
+    // startHand moves the big blind / button on from the last hand (dead-button rules)
     startHand(room);
   });
 
@@ -1385,7 +2432,120 @@ io.on("connection", (socket) => {
     }
   });
 
+  // ---- Multi-table tournaments ----
+  socket.on("mtt_create", (payload) => {
+    const opts = payload ?? {};
+    const cid = String(opts.clientId || "").trim();
+    if (!cid) return;
+    socket.data.clientId = cid;
+    const mtt = createMtt(opts, cid);
+    socket.emit("mtt_created", { mttId: mtt.id });
+  });
+
+  // Opens the tournament lobby (registration, tables, clock) on this socket.
+  socket.on("mtt_join", (payload) => {
+    const { mttId, clientId } = payload ?? {};
+    const mtt = mtts.get(String(mttId || ""));
+    if (!mtt) {
+      socket.emit("error_msg", { msg: "Tournament not found." });
+      return;
+    }
+    if (socket.data.mttId && socket.data.mttId !== mtt.id) socket.leave(`mtt:${socket.data.mttId}`);
+    socket.data.clientId = String(clientId || "").trim() || socket.data.clientId;
+    socket.data.mttId = mtt.id;
+    socket.join(mttChannel(mtt));
+    const e = mttEntrantFor(mtt, socket.data.clientId);
+    if (e) e.socketId = socket.id;
+    emitMttYou(socket, mtt);
+    socket.emit("mtt_state", getMttState(mtt));
+  });
+
+  socket.on("mtt_register", (payload) => {
+    const { name } = payload ?? {};
+    const mtt = mtts.get(socket.data.mttId);
+    if (!mtt || !socket.data.clientId) return;
+    if (mtt.status !== "registering") {
+      socket.emit("error_msg", { msg: "Registration is closed." });
+      return;
+    }
+    const nm = String(name || "").trim().slice(0, 20) || "Player";
+    const e = mttEntrantFor(mtt, socket.data.clientId);
+    if (e) {
+      e.name = nm;
+    } else {
+      if (mtt.entrants.length >= MTT_MAX_ENTRANTS) {
+        socket.emit("error_msg", { msg: "The tournament is full." });
+        return;
+      }
+      if (mtt.entrants.some((x) => x.name === nm)) {
+        socket.emit("error_msg", { msg: "That name is already registered." });
+        return;
+      }
+      mtt.entrants.push({
+        id: `e${mtt.entrants.length + 1}-${Math.random().toString(36).slice(2, 6)}`,
+        name: nm,
+        type: "player",
+        clientId: socket.data.clientId,
+        socketId: socket.id,
+        roomId: null,
+        seatIdx: null,
+        place: null,
+        eliminated: false
+      });
+    }
+    emitMttYou(socket, mtt);
+    broadcastMtt(mtt);
+  });
+
+  socket.on("mtt_unregister", () => {
+    const mtt = mtts.get(socket.data.mttId);
+    if (!mtt || mtt.status !== "registering") return;
+    mtt.entrants = mtt.entrants.filter((e) => e.clientId !== socket.data.clientId);
+    emitMttYou(socket, mtt);
+    broadcastMtt(mtt);
+  });
+
+  socket.on("mtt_add_ai", (payload) => {
+    const { count, strategy } = payload ?? {};
+    const mtt = mtts.get(socket.data.mttId);
+    if (!mtt || mtt.status !== "registering") return;
+    if (socket.data.clientId !== mtt.directorClientId) return;
+    const n = Math.max(1, Math.min(MTT_MAX_ENTRANTS - mtt.entrants.length, Math.floor(Number(count) || 1)));
+    for (let i = 0; i < n; i++) {
+      let k = mtt.entrants.length + 1;
+      while (mtt.entrants.some((x) => x.name === `AI-${k}`)) k += 1;
+      mtt.entrants.push({
+        id: `e${mtt.entrants.length + 1}-${Math.random().toString(36).slice(2, 6)}`,
+        name: `AI-${k}`,
+        type: "ai",
+        strategy: listAiStrategies().some((x) => x.id === strategy) ? strategy : DEFAULT_AI_STRATEGY,
+        clientId: null,
+        socketId: null,
+        roomId: null,
+        seatIdx: null,
+        place: null,
+        eliminated: false
+      });
+    }
+    broadcastMtt(mtt);
+  });
+
+  socket.on("mtt_start", () => {
+    const mtt = mtts.get(socket.data.mttId);
+    if (!mtt || mtt.status !== "registering") return;
+    if (socket.data.clientId !== mtt.directorClientId) return;
+    if (mtt.entrants.length < 3) {
+      socket.emit("error_msg", { msg: "At least 3 players (including AI) are needed to start!" });
+      return;
+    }
+    startMtt(mtt);
+  });
+
   socket.on("disconnect", () => {
+    const mtt = mtts.get(socket.data.mttId);
+    const entrant = mtt?.entrants.find((e) => e.socketId === socket.id);
+    if (entrant) entrant.socketId = null;
+
     const rid = socket.data.roomId;
     if (!rid) return;
     const room = rooms.get(rid);
@@ -1417,9 +2577,12 @@ io.on("connection", (socket) => {
         if (room.started) {
           s.socketId = null;
           s.disconnectedAt = now();
-          // prevent stalling: treat as folded for this hand
+          // prevent stalling: treat as folded for this hand (unless they have nothing left to decide)
           const p = getPlayer(room, i);
-          if (p) {
+          if (p && isHandSettled(room, p)) {
+            // nobody waits on an absent voter: they run it once
+            if (room.runItVote) voteRunIt(room, i, 1);
+          } else if (p) {
             p.isFolded = true;
             room.pendingActionSeats.delete(i);
           }
@@ -1438,6 +2601,7 @@ io.on("connection", (socket) => {
 
     if (room.seats.every((s) => !s)) {
       rooms.delete(rid);
+      forgetRoom(room);
       return;
     }
 
@@ -1446,13 +2610,15 @@ io.on("connection", (socket) => {
   });
 });
 
+await loadPersistedRooms();
+
 server.listen(PORT, "0.0.0.0", () => {
   console.log(`nebula-poker listening on 0.0.0.0:${PORT}`);
 });
 
 /**
- * @typedef {{type:'player', socketId:string, name:string} | {type:'ai', name:string} | null} Seat
- * @typedef {{seatIdx:number, chips:number, currentBet:number, isFolded:boolean, isBankrupt:boolean, hand:Array<any>}} PlayerState
+ * @typedef {{type:'player', socketId:string, name:string} | {type:'ai', name:string, strategy?:string, botId?:string} | null} Seat
+ * @typedef {{seatIdx:number, chips:number, currentBet:number, handContribution:number, raiseReopenAt:number|null, isFolded:boolean, isBankrupt:boolean, hand:Array<any>, eliminated?:boolean, place?:number}} PlayerState
  * @typedef {{
  *   roomId:string,
  *   createdAt:number,
@@ -1461,6 +2627,10 @@ server.listen(PORT, "0.0.0.0", () => {
  *   started:boolean,
  *   totalHands:number,
  *   initialChips:number,
+ *   format:"cash"|"tournament",
+ *   ante:number,
+ *   tournament:object|null,
+ *   mttId:string|null,
  *   handNum:number,
  *   dealerSeatIdx:number,
  *   pot:number,
@@ -1473,7 +2643,8 @@ server.listen(PORT, "0.0.0.0", () => {
  *   pendingActionSeats:Set<number>,
  *   players:Map<number, PlayerState>,
  *   turnNonce:number,
- *   aiTimer:any
+ *   aiTimer:any,
+ *   fairness:{serverSeed:string, serverSeedHash:string, clientSeeds:Map<number, string>, handNum:number|null}|null
  * }} Room
  */
 
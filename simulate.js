@@ -0,0 +1,262 @@
+// --- Headless self-play (npm run simulate) ---
+// Plays AI-vs-AI hands on lib/engine.js with a seeded RNG and a virtual clock, so thousands of hands
+// run in seconds and a seed reproduces a run exactly. After every hand it checks that no chips were
+// created or lost and that the hand actually finished; at the end it reports results per strategy.
+//
+// usage: npm run simulate -- [--hands 2000] [--players 6] [--strategies strong,tight-passive,loose-aggressive]
+//                            [--seed 1] [--chips 10000] [--blinds 50/100] [--ante 0] [--ante-mode everyone|big-blind|button]
+//                            [--straddle] [--run-it 1|2|3] [--game holdem|shortdeck|omaha] [--betting no-limit|pot-limit|fixed-limit] [--log]
+// --straddle: every seat straddles when it is UTG.
+// --run-it: all-in run-outs are dealt this many times (AI seats always agree).
+// Busted seats rebuy for the starting stack (cash-game style), so every seat plays every hand.
+// Exit code 1 when a check fails.
+
+import { ANTE_MODES, MAX_RUNS, createEngine, createTable } from "./lib/engine.js";
+import { getAiStrategy, listAiStrategies } from "./lib/aiStrategy.js";
+import { listGames } from "./lib/games.js";
+import { BETTING_STRUCTURES } from "./lib/betting.js";
+
+const MAX_STEPS_PER_HAND = 2000; // timer callbacks; a finished hand needs a few dozen
+
+function parseArgs(argv) {
+  const opts = {
+    hands: 2000,
+    players: 6,
+    strategies: listAiStrategies().map((s) => s.id),
+    seed: 1,
+    chips: 10000,
+    blinds: [50, 100],
+    ante: 0,
+    anteMode: "everyone",
+    straddle: false,
+    runItTimes: 1,
+    game: "holdem",
+    betting: null, // the game's own structure
+    log: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const val = () => argv[++i];
+    if (arg === "--hands") opts.hands = Math.max(1, Math.floor(Number(val())) || opts.hands);
+    else if (arg === "--players") opts.players = Math.min(10, Math.max(2, Math.floor(Number(val())) || opts.players));
+    else if (arg === "--strategies") opts.strategies = String(val() || "").split(",").map((s) => s.trim()).filter(Boolean);
+    else if (arg === "--seed") opts.seed = Math.floor(Number(val())) || 0;
+    else if (arg === "--chips") opts.chips = Math.max(1, Math.floor(Number(val())) || opts.chips);
+    else if (arg === "--blinds") opts.blinds = String(val() || "").split("/").map(Number);
+    else if (arg === "--ante") opts.ante = Math.max(0, Math.floor(Number(val())) || 0);
+    else if (arg === "--ante-mode") opts.anteMode = String(val() || "");
+    else if (arg === "--straddle") opts.straddle = true;
+    else if (arg === "--run-it") opts.runItTimes = Math.min(MAX_RUNS, Math.max(1, Math.floor(Number(val())) || 1));
+    else if (arg === "--game") opts.game = String(val() || "");
+    else if (arg === "--betting") opts.betting = String(val() || "");
+    else if (arg === "--log") opts.log = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  const known = new Set(listAiStrategies().map((s) => s.id));
+  const unknown = opts.strategies.filter((id) => !known.has(id));
+  if (!opts.strategies.length || unknown.length) {
+    throw new Error(`Unknown strategy: ${unknown.join(", ") || "(none)"} (have ${[...known].join(", ")})`);
+  }
+  const games = listGames().map((g) => g.id);
+  if (!games.includes(opts.game)) throw new Error(`Unknown game: ${opts.game} (have ${games.join(", ")})`);
+  if (opts.betting !== null && !BETTING_STRUCTURES.includes(opts.betting)) {
+    throw new Error(`Unknown betting structure: ${opts.betting} (have ${BETTING_STRUCTURES.join(", ")})`);
+  }
+  if (!ANTE_MODES.includes(opts.anteMode)) throw new Error(`Unknown ante mode: ${opts.anteMode} (have ${ANTE_MODES.join(", ")})`);
+  const [sb, bb] = opts.blinds;
+  if (!(sb > 0 && bb >= sb)) throw new Error("--blinds must look like 50/100");
+  return opts;
+}
+
+// mulberry32: small, fast and good enough for shuffles; the same seed replays the same run
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Virtual clock: timers run in deadline order and time jumps straight to the next one.
+function createScheduler() {
+  let clock = 0;
+  let seq = 0;
+  const timers = new Map(); // id -> { at, fn }
+  return {
+    now: () => clock,
+    setTimer(fn, ms) {
+      seq += 1;
+      timers.set(seq, { at: clock + Math.max(0, Number(ms) || 0), fn });
+      return seq;
+    },
+    clearTimer(id) {
+      timers.delete(id);
+    },
+    clearAll() {
+      timers.clear();
+    },
+    // run the earliest timer; false when nothing is scheduled
+    runNext() {
+      let nextId = null;
+      for (const [id, t] of timers) if (nextId === null || t.at < timers.get(nextId).at) nextId = id;
+      if (nextId === null) return false;
+      const { at, fn } = timers.get(nextId);
+      timers.delete(nextId);
+      clock = at;
+      fn();
+      return true;
+    }
+  };
+}
+
+function tableChips(table) {
+  let sum = table.pot;
+  for (const p of table.players.values()) sum += p.chips;
+  return sum;
+}
+
+function simulate(opts) {
+  const random = seededRandom(opts.seed);
+  const scheduler = createScheduler();
+  const engine = createEngine({
+    random,
+    now: scheduler.now,
+    setTimer: scheduler.setTimer,
+    clearTimer: scheduler.clearTimer
+  });
+
+  const table = createTable({
+    seats: opts.players,
+    game: opts.game,
+    betting: opts.betting,
+    initialChips: opts.chips,
+    smallBlind: opts.blinds[0],
+    bigBlind: opts.blinds[1],
+    ante: opts.ante,
+    anteMode: opts.anteMode,
+    runItTimes: opts.runItTimes
+  });
+  const stats = new Map(); // strategy -> { seats, hands, won, showdowns, buyIns, chips }
+  for (let i = 0; i < opts.players; i++) {
+    const strategy = opts.strategies[i % opts.strategies.length];
+    table.seats[i] = { type: "ai", name: `${strategy}-${i}`, strategy };
+    if (!stats.has(strategy)) stats.set(strategy, { seats: 0, hands: 0, won: 0, showdowns: 0, buyIns: 0, chips: 0 });
+    stats.get(strategy).seats += 1;
+  }
+  engine.ensurePlayersMap(table);
+  for (const p of table.players.values()) p.straddle = opts.straddle;
+  const statsFor = (seatIdx) => stats.get(table.seats[seatIdx].strategy);
+  for (const p of table.players.values()) statsFor(p.seatIdx).buyIns += opts.chips;
+
+  const problems = [];
+  let handDone = false;
+  let illegal = 0;
+  let rebuys = 0;
+  let buyIns = opts.chips * opts.players;
+
+  engine.on("ai_turn", (t, seatIdx) => {
+    const view = engine.buildAiView(t, seatIdx);
+    const action = getAiStrategy(t.seats[seatIdx].strategy).decide(view, random);
+    if (!action || engine.handleAction(t, seatIdx, action)) {
+      illegal += 1;
+      engine.handleAction(t, seatIdx, { type: view.legal.canCheck ? "check" : "fold" });
+    }
+  });
+  engine.on("hand_record", (t, rec) => {
+    for (const s of rec.seats) statsFor(s.seatIdx).hands += 1;
+    for (const w of rec.winners) statsFor(w.seatIdx).won += 1;
+    for (const s of [...rec.showdown, ...rec.mucked]) statsFor(s.seatIdx).showdowns += 1;
+  });
+  engine.on("hand_finished", () => {
+    handDone = true;
+  });
+  engine.on("not_enough_players", () => problems.push(`hand ${table.handNum + 1}: not enough players to deal`));
+  if (opts.log) engine.on("activity", (t, msg) => console.log(msg));
+
+  const started = Date.now();
+  for (let n = 0; n < opts.hands && !problems.length; n++) {
+    handDone = false;
+    engine.startHand(table);
+    let steps = 0;
+    while (!handDone && steps < MAX_STEPS_PER_HAND && scheduler.runNext()) steps += 1;
+    if (!handDone) {
+      const why = steps >= MAX_STEPS_PER_HAND ? `still running after ${steps} steps` : "nothing left to run";
+      problems.push(
+        `hand ${table.handNum} stuck (${why}): round ${table.round}, to act ${table.activeSeatIdx}, ` +
+          `pending [${[...table.pendingActionSeats].join(",")}], pot ${table.pot}`
+      );
+      break;
+    }
+
+    const total = tableChips(table);
+    if (total !== buyIns) problems.push(`hand ${table.handNum}: ${total} chips on the table, expected ${buyIns}`);
+    for (const p of table.players.values()) {
+      if (!Number.isInteger(p.chips) || p.chips < 0) problems.push(`hand ${table.handNum}: seat ${p.seatIdx} has ${p.chips} chips`);
+    }
+
+    // busted seats buy back in before the next deal
+    for (const p of table.players.values()) {
+      if (p.chips > 0) continue;
+      p.chips = opts.chips;
+      p.isBankrupt = false;
+      statsFor(p.seatIdx).buyIns += opts.chips;
+      buyIns += opts.chips;
+      rebuys += 1;
+    }
+  }
+  scheduler.clearAll();
+
+  for (const p of table.players.values()) statsFor(p.seatIdx).chips += p.chips;
+  return { table, stats, problems, illegal, rebuys, buyIns, elapsedMs: Date.now() - started };
+}
+
+function pad(value, width) {
+  const s = String(value);
+  return s.length >= width ? s : s + " ".repeat(width - s.length);
+}
+
+function report(opts, result) {
+  const { table, stats, problems, illegal, rebuys, buyIns, elapsedMs } = result;
+  console.log(
+    `${table.handNum} hands of ${opts.game}${opts.betting ? ` (${opts.betting})` : ""}, ${opts.players} players, blinds ${opts.blinds.join("/")}` +
+      `${opts.ante ? ` ante ${opts.ante}${opts.anteMode === "everyone" ? "" : ` (${opts.anteMode})`}` : ""}` +
+      `${opts.straddle ? ", straddles" : ""}${opts.runItTimes > 1 ? `, run it ${opts.runItTimes}x` : ""}, seed ${opts.seed} (${(elapsedMs / 1000).toFixed(1)}s)`
+  );
+  console.log(`Chip conservation: ${problems.some((p) => p.includes("chips")) ? "FAILED" : "ok"} (${buyIns} chips bought in, ${rebuys} rebuys)`);
+  console.log(`Stuck hands: ${problems.some((p) => p.includes("stuck")) ? "FOUND" : "none"}`);
+  console.log(`Illegal AI actions (replaced by check/fold): ${illegal}`);
+  console.log("");
+  const cols = [18, 6, 7, 7, 10, 10, 9];
+  console.log(["strategy", "seats", "hands", "won %", "showdown %", "net chips", "bb/100"].map((h, i) => pad(h, cols[i])).join(" "));
+  for (const [id, s] of stats) {
+    const net = s.chips - s.buyIns;
+    const row = [
+      id,
+      s.seats,
+      s.hands,
+      s.hands ? ((s.won / s.hands) * 100).toFixed(1) : "-",
+      s.hands ? ((s.showdowns / s.hands) * 100).toFixed(1) : "-",
+      net,
+      s.hands ? ((net / table.bigBlind / s.hands) * 100).toFixed(1) : "-"
+    ];
+    console.log(row.map((v, i) => pad(v, cols[i])).join(" "));
+  }
+  if (problems.length) {
+    console.log("");
+    for (const p of problems.slice(0, 20)) console.log(`PROBLEM ${p}`);
+  }
+}
+
+let opts;
+try {
+  opts = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+const result = simulate(opts);
+report(opts, result);
+process.exit(result.problems.length ? 1 : 0);
@@ -0,0 +1,92 @@
+// Betting rules: the minimum raise, short all-ins that do not reopen the betting, and the pot-limit
+// and fixed-limit caps.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getLegalActions, validateAction, resolveRaise } from "../lib/betting.js";
+
+// A street with blinds 50/100 and nothing bet yet.
+const street = (over = {}) => ({ currentMaxBet: 0, minRaise: 100, bigBlind: 100, pot: 300, ...over });
+const player = (over = {}) => ({ chips: 1000, currentBet: 0, raiseReopenAt: null, ...over });
+
+test("the minimum raise is the last full raise, never less than the big blind", () => {
+  // opening bet: at least the big blind
+  assert.equal(getLegalActions(street(), player()).minRaiseTo, 100);
+  assert.deepEqual(validateAction(street(), player(), { type: "bet", raiseTo: 99 }), { ok: false, error: "Minimum raise is to $100." });
+
+  // 100 raised to 350: the next raise must add 250 more
+  const round = street({ currentMaxBet: 350, minRaise: 250 });
+  assert.equal(getLegalActions(round, player()).minRaiseTo, 600);
+  assert.equal(validateAction(round, player(), { type: "raise", raiseTo: 599 }).ok, false);
+  assert.deepEqual(validateAction(round, player(), { type: "raise", raiseTo: 600 }), { ok: true, type: "raise", amount: 600, raiseTo: 600 });
+  // older clients send the amount over the current bet
+  assert.equal(validateAction(round, player(), { type: "raise", raiseBy: 250 }).raiseTo, 600);
+
+  // a stack short of the minimum can still go all in
+  const short = player({ chips: 500 });
+  assert.equal(getLegalActions(round, short).minRaiseTo, 500);
+  assert.deepEqual(validateAction(round, short, { type: "raise", raiseTo: 500 }), { ok: true, type: "allin", amount: 500, raiseTo: 500 });
+});
+
+test("only a full raise resets the minimum raise", () => {
+  assert.deepEqual(resolveRaise(street({ currentMaxBet: 100 }), 300), { currentMaxBet: 300, minRaise: 200, isFullRaise: true });
+  assert.deepEqual(resolveRaise(street({ currentMaxBet: 100 }), 150), { currentMaxBet: 150, minRaise: 100, isFullRaise: false });
+});
+
+test("a short all-in does not reopen the betting to a player who already acted", () => {
+  // A bets 100, so A may raise again once the bet reaches 200 (100 + a full raise)
+  const a = player({ chips: 900, currentBet: 100, raiseReopenAt: 200 });
+
+  // B goes all in for 150: A may only call or fold
+  let round = street({ currentMaxBet: 100 });
+  round = { ...round, ...resolveRaise(round, 150) };
+  const legal = getLegalActions(round, a);
+  assert.equal(legal.canRaise, false);
+  assert.equal(legal.toCall, 50);
+  assert.deepEqual(validateAction(round, a, { type: "raise", raiseTo: 300 }), {
+    ok: false,
+    error: "Betting was not reopened to you; you may only call or fold."
+  });
+  assert.equal(validateAction(round, a, { type: "allin" }).ok, false);
+  assert.deepEqual(validateAction(round, a, { type: "call" }), { ok: true, type: "call", amount: 50, raiseTo: null });
+
+  // a player yet to act may still raise over the short all-in, by a full raise
+  assert.equal(getLegalActions(round, player()).minRaiseTo, 250);
+
+  // C goes all in for 220: two short all-ins add up to a full raise over A's bet, so A may raise again
+  round = { ...round, ...resolveRaise(round, 220) };
+  assert.equal(round.minRaise, 100);
+  assert.equal(getLegalActions(round, a).canRaise, true);
+  assert.equal(getLegalActions(round, a).minRaiseTo, 320);
+});
+
+test("pot limit caps a raise at the pot after calling", () => {
+  // pot 300 with a bet of 100 to call: call 100, then raise the 400 that makes, to 500
+  const round = street({ structure: "pot-limit", currentMaxBet: 100, pot: 300 });
+  assert.equal(getLegalActions(round, player()).maxRaiseTo, 500);
+  assert.deepEqual(validateAction(round, player(), { type: "raise", raiseTo: 501 }), { ok: false, error: "Pot limit: you can raise to at most $500." });
+  assert.equal(validateAction(round, player(), { type: "raise", raiseTo: 500 }).ok, true);
+  // all in with more than the pot allows becomes a pot-sized raise
+  assert.deepEqual(validateAction(round, player(), { type: "allin" }), { ok: true, type: "raise", amount: 500, raiseTo: 500 });
+  // a smaller stack is its own cap
+  assert.deepEqual(validateAction(round, player({ chips: 400 }), { type: "allin" }), { ok: true, type: "allin", amount: 400, raiseTo: 400 });
+});
+
+test("fixed limit allows exactly one bet more, up to the street's cap", () => {
+  const round = street({ structure: "fixed-limit", betSize: 100, currentMaxBet: 100, bets: 1, raiseCap: 4 });
+  const legal = getLegalActions(round, player());
+  assert.equal(legal.minRaiseTo, 200);
+  assert.equal(legal.maxRaiseTo, 200);
+  assert.deepEqual(validateAction(round, player(), { type: "raise", raiseTo: 300 }), { ok: false, error: "Fixed limit: you can only raise to $200." });
+  assert.deepEqual(validateAction(round, player(), { type: "allin" }), { ok: true, type: "raise", amount: 200, raiseTo: 200 });
+
+  // four bets in: capped, only call or fold
+  const capped = { ...round, currentMaxBet: 400, bets: 4 };
+  assert.equal(getLegalActions(capped, player()).canRaise, false);
+  assert.deepEqual(validateAction(capped, player(), { type: "raise", raiseTo: 500 }), {
+    ok: false,
+    error: "Betting is capped at 4 bets this street; you may only call or fold."
+  });
+  // raiseCap 0 means no cap
+  assert.equal(getLegalActions({ ...capped, raiseCap: 0 }, player()).maxRaiseTo, 500);
+});
@@ -0,0 +1,94 @@
+// Hand evaluator: every five-card hand by category, the number of distinct hand values, seven-card
+// hands against brute force over their 21 five-card subsets, and known ties and near-ties.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RANKS, SUITS, HAND_CATEGORIES, evaluateHand, compareHands } from "../lib/handEval.js";
+
+const DECK = SUITS.flatMap((s) => RANKS.map((r, v) => ({ s, r, v })));
+
+// "Ah Td 2c" -> cards
+function cards(text) {
+  const suit = { h: "hearts", d: "diamonds", c: "clubs", s: "spades" };
+  return text.split(" ").map((code) => {
+    const r = code[0] === "T" ? "10" : code[0];
+    return { s: suit[code[1]], r, v: RANKS.indexOf(r) };
+  });
+}
+
+const compare = (a, b) => compareHands(evaluateHand(cards(a)), evaluateHand(cards(b)));
+
+test("all 2,598,960 five-card hands fall into the textbook category counts", () => {
+  const counts = new Map();
+  const scores = new Set();
+  const n = DECK.length;
+  for (let a = 0; a < n; a++)
+    for (let b = a + 1; b < n; b++)
+      for (let c = b + 1; c < n; c++)
+        for (let d = c + 1; d < n; d++)
+          for (let e = d + 1; e < n; e++) {
+            const h = evaluateHand([DECK[a], DECK[b], DECK[c], DECK[d], DECK[e]]);
+            counts.set(h.desc, (counts.get(h.desc) || 0) + 1);
+            scores.add(h.score);
+          }
+  assert.deepEqual(Object.fromEntries(HAND_CATEGORIES.slice(1).map((name) => [name, counts.get(name) || 0])), {
+    "High Card": 1302540,
+    "One Pair": 1098240,
+    "Two Pair": 123552,
+    "Three of a Kind": 54912,
+    Straight: 10200,
+    Flush: 5108,
+    "Full House": 3744,
+    "Four of a Kind": 624,
+    "Straight Flush": 36,
+    "Royal Flush": 4
+  });
+  assert.equal(scores.size, 7462);
+});
+
+test("seven-card hands score the same as their best five-card subset", () => {
+  let seed = 7;
+  const random = () => ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648);
+  for (let i = 0; i < 3000; i++) {
+    const deck = [...DECK];
+    const hand = [];
+    while (hand.length < 7) hand.push(deck.splice(Math.floor(random() * deck.length), 1)[0]);
+    let best = -1;
+    for (let skip1 = 0; skip1 < 7; skip1++)
+      for (let skip2 = skip1 + 1; skip2 < 7; skip2++) {
+        best = Math.max(best, evaluateHand(hand.filter((_c, k) => k !== skip1 && k !== skip2)).score);
+      }
+    assert.equal(evaluateHand(hand).score, best);
+  }
+});
+
+test("ties and near-ties", () => {
+  // the board plays for both
+  assert.equal(compare("2c 3d As Ks Qs Js Ts", "4h 5h As Ks Qs Js Ts"), 0);
+  // same two pair, kicker from the board
+  assert.equal(compare("Ah Kd Ac Kc 7s 4d 2h", "As Ks Ac Kc 7s 4d 2h"), 0);
+  // suits never break a tie
+  assert.equal(compare("Ah Kh Qh Jh 9h", "As Ks Qs Js 9s"), 0);
+  // the fifth kicker decides
+  assert.ok(compare("Ah Kd Qc Js 9h", "Ac Kh Qd Jc 8s") > 0);
+  // the wheel is the lowest straight; the steel wheel the lowest straight flush
+  assert.ok(compare("2c 3d 4h 5s 6c", "Ac 2d 3h 4s 5c") > 0);
+  assert.ok(compare("Ac 2c 3c 4c 5c", "Kd Kh Ks Kc 2d") > 0);
+  // flushes compare all five cards
+  assert.ok(compare("Ah Qh 9h 7h 3h", "Ad Qd 9d 7d 2d") > 0);
+  // full houses: trips first, then the pair
+  assert.ok(compare("3c 3d 3h 2s 2c", "2d 2h 2s Ac Ad") > 0);
+  assert.ok(compare("Kc Kd Kh 9s 9c", "Ks Kd Kh 8s 8c") > 0);
+  // a pair of aces with a worse kicker still beats kings
+  assert.ok(compare("Ac Ad 2h 3s 4c", "Kc Kd Qh Js 9c") > 0);
+  // counterfeited two pair: the board's higher pair plays
+  assert.equal(compare("2c 2d Qh Qs Jc Jd 9h", "3c 3d Qh Qs Jc Jd 9h"), 0);
+});
+
+test("short deck: A-6-7-8-9 straight and flush over full house", () => {
+  const sd = (text) => evaluateHand(cards(text), { shortDeck: true });
+  assert.equal(sd("Ac 6d 7h 8s 9c").desc, "Straight");
+  assert.ok(compareHands(sd("6c 7d 8h 9s Tc"), sd("Ac 6d 7h 8s 9c")) > 0);
+  assert.ok(compareHands(sd("Ah Qh 9h 7h 6h"), sd("Kc Kd Kh 9s 9c")) > 0);
+  assert.equal(evaluateHand(cards("Ac 6d 7h 8s 9c")).desc, "High Card");
+});
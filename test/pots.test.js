@@ -0,0 +1,58 @@
+// Pots: the uncalled-bet refund, main and side pots for all-ins of different sizes, dead money from
+// folded players, and odd chips in a split pot.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPots, findUncalledBet, splitPot } from "../lib/pots.js";
+
+const total = (pots) => pots.reduce((sum, p) => sum + p.amount, 0);
+
+test("the part of the biggest bet nobody matched goes back", () => {
+  assert.deepEqual(findUncalledBet(new Map([[0, 100], [1, 600], [2, 400]])), { seatIdx: 1, amount: 200 });
+  // matched exactly, or nothing in
+  assert.equal(findUncalledBet(new Map([[0, 400], [1, 400], [2, 100]])), null);
+  assert.equal(findUncalledBet(new Map()), null);
+  // everyone else folded to a bet: all of it comes back
+  assert.deepEqual(findUncalledBet(new Map([[3, 150], [4, 0]])), { seatIdx: 3, amount: 150 });
+});
+
+test("all-ins of different sizes make a main pot and a side pot per stack", () => {
+  const contributions = new Map([[0, 100], [1, 250], [2, 400], [3, 400]]);
+  const pots = buildPots(contributions, [0, 1, 2, 3]);
+  assert.deepEqual(pots, [
+    { amount: 400, eligible: [0, 1, 2, 3] },
+    { amount: 450, eligible: [1, 2, 3] },
+    { amount: 300, eligible: [2, 3] }
+  ]);
+  assert.equal(total(pots), 1150);
+
+  // the covering stack's unmatched chips are refunded first, then the pots are the same
+  const withExtra = new Map([[0, 100], [1, 250], [2, 400], [3, 700]]);
+  const refund = findUncalledBet(withExtra);
+  assert.deepEqual(refund, { seatIdx: 3, amount: 300 });
+  withExtra.set(refund.seatIdx, withExtra.get(refund.seatIdx) - refund.amount);
+  assert.deepEqual(buildPots(withExtra, [0, 1, 2, 3]), pots);
+});
+
+test("folded chips stay in as dead money but their owner can't win them", () => {
+  // seat 0 folded after putting in 300; seat 1 is all in for 200
+  const pots = buildPots(new Map([[0, 300], [1, 200], [2, 500]]), [1, 2]);
+  assert.deepEqual(pots, [
+    { amount: 600, eligible: [1, 2] },
+    { amount: 400, eligible: [2] }
+  ]);
+  assert.equal(total(pots), 1000);
+
+  // dead money above every live contribution joins the last pot
+  assert.deepEqual(buildPots(new Map([[0, 500], [1, 200], [2, 200]]), [1, 2]), [{ amount: 900, eligible: [1, 2] }]);
+  // seats that put in nothing are left out
+  assert.deepEqual(buildPots(new Map([[0, 0], [1, 50], [2, 50]]), [0, 1, 2]), [{ amount: 100, eligible: [1, 2] }]);
+});
+
+test("odd chips go one at a time in the order given", () => {
+  assert.deepEqual([...splitPot(101, [4, 1, 2])], [[4, 34], [1, 34], [2, 33]]);
+  assert.deepEqual([...splitPot(100, [2, 0, 1])], [[2, 34], [0, 33], [1, 33]]);
+  assert.deepEqual([...splitPot(7, [5, 6])], [[5, 4], [6, 3]]);
+  assert.deepEqual([...splitPot(300, [0, 1, 2])], [[0, 100], [1, 100], [2, 100]]);
+  assert.equal(splitPot(100, []).size, 0);
+});
@@ -0,0 +1,35 @@
+// Private room passwords: hashing and checking, and the throttle on failed guesses.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkRoomPassword, createPasswordThrottle, hashRoomPassword } from "../lib/roomPassword.js";
+
+test("a password checks against its own hash only", async () => {
+  const stored = hashRoomPassword("sesame");
+  assert.equal(await checkRoomPassword(stored, "sesame"), true);
+  assert.equal(await checkRoomPassword(stored, "Sesame"), false);
+  assert.equal(await checkRoomPassword(null, "sesame"), false);
+  assert.notEqual(hashRoomPassword("sesame"), stored); // salted
+});
+
+test("too many failures lock a key until the window runs out", () => {
+  let t = 0;
+  const throttle = createPasswordThrottle({ maxFailures: 3, windowMs: 1000, now: () => t });
+  for (let i = 0; i < 3; i++) {
+    assert.equal(throttle.isLocked("a"), false);
+    throttle.fail("a");
+  }
+  assert.equal(throttle.isLocked("a"), true);
+  assert.equal(throttle.isLocked("b"), false);
+  t = 999;
+  assert.equal(throttle.isLocked("a"), true);
+  t = 1000;
+  assert.equal(throttle.isLocked("a"), false);
+
+  // a success clears earlier failures
+  throttle.fail("b");
+  throttle.fail("b");
+  throttle.succeed("b");
+  throttle.fail("b");
+  assert.equal(throttle.isLocked("b"), false);
+});
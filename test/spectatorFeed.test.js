@@ -0,0 +1,38 @@
+// Delayed spectator feed: a captured game_state keeps its board when a street is dealt during the delay.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEngine, createTable } from "../lib/engine.js";
+import { delayedCopy } from "../lib/spectatorFeed.js";
+
+test("a delayed game_state keeps the board it was captured with", () => {
+  const engine = createEngine({ setTimer: () => null, clearTimer: () => {}, equityBudget: 0 });
+  const table = createTable({ seats: 3 });
+  for (let i = 0; i < 3; i++) table.seats[i] = { type: "player", name: `P${i}` };
+  engine.ensurePlayersMap(table);
+  engine.startHand(table);
+  assert.equal(table.round, "PRE-FLOP");
+
+  // shaped like server.js's game_state: the board is the table's own array
+  const live = { round: table.round, communityCards: table.communityCards, turnClock: { deadline: 1 } };
+  const delayed = delayedCopy("game_state", live);
+
+  // everyone calls or checks until the flop is dealt
+  while (table.round === "PRE-FLOP") {
+    const p = engine.getPlayer(table, table.activeSeatIdx);
+    assert.equal(engine.handleAction(table, table.activeSeatIdx, { type: p.currentBet < table.currentMaxBet ? "call" : "check" }), null);
+  }
+  assert.equal(table.round, "FLOP");
+  assert.equal(live.communityCards.length, 3);
+
+  assert.equal(delayed.round, "PRE-FLOP");
+  assert.deepEqual(delayed.communityCards, []);
+  assert.equal(delayed.turnClock, null);
+  assert.deepEqual(live.turnClock, { deadline: 1 });
+});
+
+test("a delayed turn drops the action clock", () => {
+  const turn = { activeSeatIdx: 2, clock: { deadline: 1 }, legal: { toCall: 100 } };
+  assert.deepEqual(delayedCopy("turn", turn), { activeSeatIdx: 2, clock: null, legal: { toCall: 100 } });
+  assert.equal(delayedCopy("activity", "P1 Folds."), "P1 Folds.");
+});